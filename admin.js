@@ -0,0 +1,123 @@
+/*
+    This module provides an optional admin interface over HTTP, to inspect and control the jobs of a scheduler
+    Nothing is exposed unless you mount it yourself (see admin() in index.js), either as an ExpressJS middleware
+    or as the request handler of a plain http server, e.g.
+        app.use("/admin/cron", cron.admin({auth: require("./auth").admins}))
+        http.createServer(cron.admin({prefix: "/cron", auth})).listen(8080)
+
+    Routes (relative to where it's mounted):
+        GET     /jobs               list all jobs with their timers, whether they're allowed on this instance and their state
+        GET     /jobs/:name         get a single job
+        POST    /jobs/:name/start   activate the job
+        POST    /jobs/:name/stop    deactivate the job
+        POST    /jobs/:name/run     run the job right now and respond with its result (add ?force=true for forbidden jobs),
+                                    or with 409 Conflict if the run is skipped (e.g. because the job is still running)
+    Names are always taken literally (no wildcards) and have to be URL-encoded, e.g. /jobs/Backup%20all%20of%20my%20databases
+
+    All responses are JSON. Errors look like {error: "message"}.
+*/
+
+const {check: type, assert} = require("type-approve")
+
+
+
+const ROUTE = /^\/jobs(?:\/([^/]+)(?:\/(start|stop|run))?)?\/?$/
+
+
+
+const respond = function(res, code, body) {
+    res.statusCode = code
+    res.setHeader("Content-Type", "application/json; charset=utf-8")
+    res.end(JSON.stringify(body))
+}
+
+
+
+/*
+    Let the auth hook check the request, the same way as ExpressJS would call a middleware
+    The Promise resolves (to true) once the hook calls next(), and rejects if it calls next(error).
+    If the hook responds on its own (e.g. with 401 Unauthorized), then it never calls next() and nothing else happens.
+*/
+const authorize = function(auth, req, res) {
+    return new Promise((resolve, reject) => {
+        if(!type({function: auth})) return resolve(true)
+        try {
+            auth(req, res, error => error ? reject(error) : resolve(true))
+        } catch(error) {
+            reject(error)
+        }
+    })
+}
+
+
+
+/*
+    Create the request handler (req, res, next) for the given controls of a scheduler
+    The controls are list(), start(name), stop(name) and run(name, {force}) and they take exact names only.
+    Requests that don't match any of the routes are passed on to next(), if there is one (ExpressJS), or get a 404 otherwise.
+
+    Options:
+        auth        a middleware (req, res, next) that checks every request before anything else happens (even before a 404 or 405),
+                    e.g. (req, res, next) => req.user && req.user.admin ? next() : res.status(403).end()
+        prefix      a path in front of the routes, e.g. "/cron" for "/cron/jobs" (defaults to none)
+*/
+const handler = function(control, {auth, prefix = ""} = {}) {
+    assert(auth === undefined || type({function: auth}), `Scheduler couldn't use '${auth}' as the auth hook of its admin interface! Use a middleware like (req, res, next) => next().`)
+    assert(type({string: prefix}) && !prefix.endsWith("/"), `Scheduler couldn't use '${prefix}' as the prefix of its admin interface! Use a path like '/cron'.`)
+
+    return function(req, res, next) {
+        const {pathname, searchParams} = new URL(req.url, "http://localhost")
+        const route = pathname.startsWith(prefix) ? ROUTE.exec(pathname.slice(prefix.length)) : null
+        if(route === null && type({function: next})) return next() // not ours, so it's none of our business to check it
+        authorize(auth, req, res)
+            .catch(error => {
+                if(type({function: next})) next(error) // let ExpressJS handle it
+                else respond(res, error.status || error.statusCode || 401, {error: error.message || "Unauthorized"})
+                return false
+            })
+            .then(async authorized => {
+                if(!authorized) return
+                if(route === null) return respond(res, 404, {error: `There's no '${pathname}'`})
+                const [, encoded, action] = route
+                const method = action === undefined ? "GET" : "POST"
+                if(req.method !== method) {
+                    res.setHeader("Allow", method)
+                    return respond(res, 405, {error: `Use ${method} for '${pathname}'`})
+                }
+                const jobs = control.list()
+                if(encoded === undefined) return respond(res, 200, jobs)
+                let name
+                try {
+                    name = decodeURIComponent(encoded)
+                } catch(error) {
+                    return respond(res, 400, {error: `Couldn't decode the name '${encoded}'`})
+                }
+                const job = jobs.find(job => job.name === name)
+                if(job === undefined) return respond(res, 404, {error: `There's no task '${name}'`})
+                if(action === undefined) return respond(res, 200, job)
+                if(action === "run") {
+                    const force = searchParams.get("force") === "true"
+                    if(!job.allowed && !force) return respond(res, 403, {error: `The task '${name}' isn't allowed on this instance, use ?force=true to run it anyways`})
+                    let result
+                    try {
+                        result = await control.run(name, {force})
+                    } catch(error) {
+                        if(error.skipped === undefined) throw error
+                        return respond(res, 409, {error: error.message}) // e.g. it's still running
+                    }
+                    return respond(res, 200, {name, result})
+                }
+                control[action](name)
+                respond(res, 200, control.list().find(job => job.name === name))
+            })
+            .catch(error => {
+                if(!res.headersSent) respond(res, 500, {error: error.message})
+            })
+    }
+}
+
+
+
+module.exports = {
+    handler
+}
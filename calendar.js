@@ -0,0 +1,414 @@
+/*
+    This module evaluates cronjob timer strings against the calendar
+    It answers the question "when will this timer actually fire?" without setting up any cronjob
+
+    All of the calculations happen on the 'wall clock' of the given timezone.
+    A wall clock is a regular Date object whose UTC fields (year, month, day, hour, ...)
+    represent the local time of that timezone. This way the calendar arithmetic never needs
+    to care about daylight saving time until the very end, when the wall clock is converted back
+    into a real point in time.
+*/
+
+const {check: type, assert} = require("type-approve")
+
+
+
+const FIELDS = ["second", "minute", "hour", "day", "month", "weekday"]
+const BOUNDS = {second: [0, 59], minute: [0, 59], hour: [0, 23], day: [1, 31], month: [1, 12], weekday: [0, 7]}
+const NAMES = {
+    month: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"],
+    weekday: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"]
+}
+const HORIZON = 10 // years to search ahead before giving up on a timer that (almost) never fires
+const REJECTED = 100000 // runs to leave out in a row before giving up on a filter that (almost) never lets any run through
+
+
+
+/*
+    Convert a single value of a timer slot into a number
+    Month and weekday slots also accept (abbreviated) names, e.g. 'jan', 'january', 'tue' or 'tuesday'
+*/
+const number = function(value, field) {
+    if(/^\d+$/.test(value)) return parseInt(value)
+    const index = (NAMES[field] || []).indexOf(value.slice(0, 3).toLowerCase())
+    assert(index >= 0, `Calendar couldn't understand value '${value}' in the ${field} slot!`)
+    return field === "month" ? index + 1 : index
+}
+
+
+
+/*
+    Expand one slot of a timer string into a sorted list of all the values it stands for
+    Returns null for a wildcard (*) because it matches everything
+    e.g.
+        expand("*", "minute")           // null
+        expand("7,9", "hour")           // [7, 9]
+        expand("10-12", "hour")         // [10, 11, 12]
+        expand("0-59/15", "minute")     // [0, 15, 30, 45]
+        expand("mon-fri/2", "weekday")  // [1, 3, 5]
+        expand("7", "weekday")          // [0] (sunday)
+*/
+const expand = function(slot, field) {
+    if(slot === "*" || slot === "?") return null
+    const [min, max] = BOUNDS[field]
+    const values = []
+    for(const item of slot.split(",")) {
+        const [range, step = "1"] = item.split("/")
+        const [from, to] = range === "*" ? [min, max] : range.split("-").map(value => number(value, field))
+        const last = to === undefined ? (item.includes("/") ? max : from) : to
+        assert(/^\d+$/.test(step) && parseInt(step) > 0, `Calendar couldn't understand step '${step}' in the ${field} slot!`)
+        assert(from >= min && last <= max && from <= last, `Calendar couldn't understand value '${item}' in the ${field} slot!`)
+        for(let value = from; value <= last; value += parseInt(step)) {
+            values.push(field === "weekday" ? value % 7 : value) // 0 and 7 are both sunday
+        }
+    }
+    return values
+        .filter((value, index, self) => self.indexOf(value) === index)
+        .sort((a, b) => a - b)
+}
+
+
+
+/*
+    Parse a timer string into an object of expanded slots
+    The seconds slot is optional, just like with node-cron and most other cron implementations
+    e.g.
+        parse("0 30 7,9 1 6,12 1,5")
+        // {second: [0], minute: [30], hour: [7, 9], day: [1], month: [6, 12], weekday: [1, 5]}
+*/
+const parse = function(timer) {
+    assert(type({string: timer}), `Calendar couldn't parse timer '${timer}' because it's not a string!`)
+    const slots = timer.trim().split(/\s+/)
+    assert(slots.length === 5 || slots.length === 6, `Calendar couldn't parse timer '${timer}' because it has ${slots.length} instead of 5 or 6 slots!`)
+    if(slots.length === 5) slots.unshift("0")
+    const output = {}
+    for(const [index, field] of FIELDS.entries()) {
+        output[field] = expand(slots[index], field)
+    }
+    return output
+}
+
+
+
+const has = function(values, value) {
+    return values === null || values.includes(value)
+}
+
+
+
+/*
+    Check if the day of a wall clock matches the day and weekday slots of a parsed timer
+    Just like with the classic cron implementations, a day matches if EITHER the day of month OR the weekday matches,
+    but only if both slots are restricted. If one of them is a wildcard, then only the other one counts.
+    e.g.
+        '0 0 0 1 * 1'   // every 1st of the month and every monday
+        '0 0 0 * * 1'   // every monday
+*/
+const day = function(fields, wall) {
+    const monthday = has(fields.day, wall.getUTCDate())
+    const weekday = has(fields.weekday, wall.getUTCDay())
+    if(fields.day !== null && fields.weekday !== null) return monthday || weekday
+    return monthday && weekday
+}
+
+
+
+const matches = function(fields, wall) {
+    return has(fields.month, wall.getUTCMonth() + 1)
+        && day(fields, wall)
+        && has(fields.hour, wall.getUTCHours())
+        && has(fields.minute, wall.getUTCMinutes())
+        && has(fields.second, wall.getUTCSeconds())
+}
+
+
+
+/*
+    Check if the day of a wall clock is the nth day (or the nth weekday) of its month, according to a rule (see timestamp.js)
+    Negative numbers count from the end of the month. A weekday or a list of months of null stands for any of them.
+    e.g.
+        occurs({nth: 2, weekday: 2, month: null}, wall)             // the 2nd tuesday of the month
+        occurs({nth: -1, weekday: 5, month: null}, wall)            // the last friday of the month
+        occurs({nth: -1, weekday: null, month: [3, 6, 9, 12]}, wall) // the last day of a quarter
+*/
+const occurs = function(rule, wall) {
+    const [year, month, date] = [wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate()]
+    if(!has(rule.month, month + 1) || !has(rule.weekday === null ? null : [rule.weekday], wall.getUTCDay())) return false
+    const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+    const size = rule.weekday === null ? 1 : 7 // a weekday occurs once every 7 days
+    if(rule.nth > 0) return Math.floor((date - 1) / size) + 1 === rule.nth
+    return Math.floor((length - date) / size) + 1 === -rule.nth
+}
+
+
+
+/*
+    Check if a value is a day of the calendar, either a Date or a string like '2024-12-25' (once) or '12-25' (every year)
+*/
+const excludable = function(day) {
+    if(day instanceof Date) return !isNaN(day)
+    const [, year = "2000", month, date] = /^(?:(\d{4})-)?(\d{2})-(\d{2})$/.exec(String(day).trim()) || [] // 2000 was a leap year
+    if(month === undefined) return false
+    const parsed = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(date)))
+    return parsed.getUTCMonth() === parseInt(month) - 1 && parsed.getUTCDate() === parseInt(date)
+}
+
+
+
+/*
+    Find the next allowed value of a slot, that is equal or grater than the given value
+    Returns undefined if there's none (and the next minute, hour, day, ... has to be tried)
+*/
+const after = function(values, value) {
+    return values === null ? value : values.find(allowed => allowed >= value)
+}
+
+
+
+/*
+    Find the first wall clock time at or after the given one, that matches the parsed timer
+    Instead of probing every single second, it jumps straight to the next allowed month, day, hour, minute or second
+    Returns null if there's no match until the limit
+*/
+const seek = function(fields, wall, limit) {
+    let cursor = new Date(wall.getTime())
+    while(cursor < limit) {
+        const [year, month, date, hour, minute, second] = [
+            cursor.getUTCFullYear(),
+            cursor.getUTCMonth(),
+            cursor.getUTCDate(),
+            cursor.getUTCHours(),
+            cursor.getUTCMinutes(),
+            cursor.getUTCSeconds()
+        ]
+        const next = {
+            month: after(fields.month, month + 1),
+            hour: after(fields.hour, hour),
+            minute: after(fields.minute, minute),
+            second: after(fields.second, second)
+        }
+        if(next.month === undefined) cursor = new Date(Date.UTC(year + 1, 0, 1))
+        else if(next.month !== month + 1) cursor = new Date(Date.UTC(year, next.month - 1, 1))
+        else if(!day(fields, cursor)) cursor = new Date(Date.UTC(year, month, date + 1))
+        else if(next.hour === undefined) cursor = new Date(Date.UTC(year, month, date + 1))
+        else if(next.hour !== hour) cursor = new Date(Date.UTC(year, month, date, next.hour))
+        else if(next.minute === undefined) cursor = new Date(Date.UTC(year, month, date, hour + 1))
+        else if(next.minute !== minute) cursor = new Date(Date.UTC(year, month, date, hour, next.minute))
+        else if(next.second === undefined) cursor = new Date(Date.UTC(year, month, date, hour, minute + 1))
+        else if(next.second !== second) cursor = new Date(Date.UTC(year, month, date, hour, minute, next.second))
+        else return cursor
+    }
+    return null
+}
+
+
+
+const formatters = new Map()
+
+const formatter = function(timezone) {
+    if(!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat("en-US", {
+            timeZone: timezone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            second: "numeric"
+        }))
+    }
+    return formatters.get(timezone)
+}
+
+
+
+/*
+    Check if a string is a timezone that the Intl API knows, e.g. 'Europe/Berlin'
+*/
+const supported = function(timezone) {
+    if(!type({string: timezone})) return false
+    try {
+        formatter(timezone)
+        return true
+    } catch(error) {
+        return false
+    }
+}
+
+
+
+/*
+    Convert a point in time into the wall clock of the given timezone (or the local timezone of the machine)
+    The milliseconds are always cut off because cronjobs operate on seconds
+*/
+const wallclock = function(date, timezone) {
+    if(timezone === "UTC") return new Date(Math.floor(date.getTime() / 1000) * 1000) // shortcut, no conversion needed
+    if(!type({string: timezone})) {
+        return new Date(Date.UTC(
+            date.getFullYear(),
+            date.getMonth(),
+            date.getDate(),
+            date.getHours(),
+            date.getMinutes(),
+            date.getSeconds()
+        ))
+    }
+    const part = {}
+    for(const entry of formatter(timezone).formatToParts(date)) part[entry.type] = parseInt(entry.value)
+    return new Date(Date.UTC(part.year, part.month - 1, part.day, part.hour % 24, part.minute, part.second))
+}
+
+
+
+/*
+    Get the offset of the wall clock of the given timezone at a point in time, in milliseconds (e.g. 7200000 for CEST)
+*/
+const offset = function(date, timezone) {
+    return wallclock(date, timezone).getTime() - Math.floor(date.getTime() / 1000) * 1000
+}
+
+
+
+/*
+    Convert a wall clock of the given timezone back into all the real points in time at which it shows up
+    That's usually one, but none for the wall clock times that are skipped when the clocks are put forward for daylight saving time,
+    and two for the ones that are repeated when the clocks are put back, e.g. 02:30AM in Berlin on the last sunday of october
+    happens at 00:30 UTC (CEST) and again at 01:30 UTC (CET). The result is sorted.
+*/
+const instants = function(wall, timezone) {
+    if(timezone === "UTC") return [new Date(wall.getTime())]
+    const guess = wall.getTime()
+    return [guess - 43200000, guess + 43200000] // the offsets before and after any transition nearby
+        .map(time => offset(new Date(time), timezone))
+        .filter((value, index, self) => self.indexOf(value) === index)
+        .map(value => new Date(guess - value))
+        .filter(date => wallclock(date, timezone).getTime() === guess)
+        .sort((a, b) => a - b)
+}
+
+
+
+/*
+    Convert a wall clock of the given timezone back into a real point in time
+    Returns null if that wall clock time doesn't exist in the timezone,
+    e.g. 02:30AM on the day when the clocks are put forward for daylight saving time
+*/
+const instant = function(wall, timezone) {
+    if(timezone === "UTC") return new Date(wall.getTime())
+    let output
+    if(!type({string: timezone})) {
+        output = new Date(
+            wall.getUTCFullYear(),
+            wall.getUTCMonth(),
+            wall.getUTCDate(),
+            wall.getUTCHours(),
+            wall.getUTCMinutes(),
+            wall.getUTCSeconds()
+        )
+    } else {
+        const guess = wall.getTime()
+        const offset = wallclock(new Date(guess), timezone).getTime() - guess
+        output = new Date(guess - offset)
+        const correction = wallclock(output, timezone).getTime() - output.getTime()
+        if(correction !== offset) output = new Date(guess - correction)
+    }
+    return wallclock(output, timezone).getTime() === wall.getTime() ? output : null
+}
+
+
+
+const admits = function(filter, date, wall) {
+    try {
+        return filter(date, wall)
+    } catch(error) {
+        return true
+    }
+}
+
+
+
+/*
+    Get how far the wall clock has to go back in order not to miss any run after the given point in time
+    That's only the case in the first pass of the hour that's repeated when daylight saving time ends,
+    because the second pass starts over at a wall clock time that lies behind the current one.
+*/
+const rewind = function(from, timezone) {
+    if(timezone === "UTC") return 0
+    const shift = offset(from, timezone) - offset(new Date(from.getTime() + 43200000), timezone)
+    if(shift <= 0) return 0 // the clocks aren't put back anytime soon
+    return offset(new Date(from.getTime() + shift), timezone) < offset(from, timezone) ? shift : 0
+}
+
+
+
+/*
+    Calculate the next points in time at which any of the given timer strings would fire
+    The result is sorted and free of duplicates (two timers that fire at the same second count as one run)
+    e.g.
+        upcoming(["0 30 7 * * 1", "0 0 9 * * 5"], {count: 3, timezone: "Europe/Berlin"})
+        // [Mon 07:30:00, Fri 09:00:00, Mon 07:30:00] as Date objects, starting from now
+
+    Options:
+        count       how many dates to return (defaults to 1)
+        from        the point in time to start from, exclusive (defaults to now)
+        until       the point in time to stop at, exclusive (optional)
+        timezone    the timezone in which the timers are evaluated (defaults to the local timezone)
+        filter      a function that gets each run (and its wall clock) and returns false to leave it out (optional),
+                    e.g. for the rules and exclusions of a job, that a timer string can't express (see guard() in index.js)
+                    If it throws, then the run is kept, just like the scheduler keeps it at fire time.
+*/
+const upcoming = function(timers, {count = 1, from = new Date(), until, timezone, filter} = {}) {
+    assert(type({integer: count}) && count >= 0, `Calendar couldn't calculate '${count}' upcoming runs!`)
+    assert(from instanceof Date && !isNaN(from), `Calendar couldn't calculate upcoming runs from invalid date '${from}'!`)
+    const fields = timers.map(parse)
+    const output = []
+    const pending = [] // runs that have been found, but might still be preceded by runs of later wall clock times (see below)
+    let cursor = new Date(wallclock(from, timezone).getTime() + 1000 - rewind(from, timezone))
+    let rejected = 0
+    while(output.length < count && rejected < REJECTED) {
+        const limit = until instanceof Date
+            ? new Date(wallclock(until, timezone).getTime() + 86400000) // roughly, the exact check happens on the real dates below
+            : new Date(Date.UTC(cursor.getUTCFullYear() + HORIZON, 0, 1))
+        const candidates = fields
+            .map(timer => seek(timer, cursor, limit))
+            .filter(wall => wall !== null)
+        if(candidates.length < 1) break
+        const wall = new Date(Math.min(...candidates))
+        cursor = new Date(wall.getTime() + 1000)
+        const dates = instants(wall, timezone)
+        if(dates.length < 1) continue // skipped by daylight saving time
+        if(until instanceof Date && dates[0] >= until) break
+        for(const date of dates.filter(date => date > from && !(until instanceof Date && date >= until))) {
+            if(type({function: filter}) && !admits(filter, date, wall)) {
+                rejected++
+            } else {
+                pending.push(date)
+                rejected = 0
+            }
+        }
+        /*
+            Wall clock times go up along with the real time, except for the hour that's repeated when daylight saving time ends.
+            Its second pass happens after the first pass of the following wall clock times, e.g. 02:30 CET happens after 02:45 CEST.
+            But no later wall clock time can ever happen before the first pass of the current one, so everything up to it is final.
+        */
+        pending.sort((a, b) => a - b)
+        while(pending.length > 0 && pending[0] <= dates[0] && output.length < count) output.push(pending.shift())
+    }
+    while(pending.length > 0 && output.length < count) output.push(pending.shift())
+    return output
+}
+
+
+
+module.exports = {
+    parse,
+    matches,
+    occurs,
+    excludable,
+    supported,
+    wallclock,
+    instant,
+    instants,
+    upcoming
+}
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/*
+    This is the command line interface, which shows what a module with cronjob definitions (e.g. cron.js) would schedule
+    It loads the module, just like your application would, and prints the compiled timers of every job,
+    whether the job is allowed on this machine, its description and its next run. It never runs any of the jobs.
+    e.g.
+        npx doncron ./cron.js
+        npx doncron ./cron.js --json
+
+    The module should export its scheduler, e.g. `module.exports = require("doncron")` or `module.exports = createScheduler()`.
+    If it doesn't, then the jobs of the default scheduler are shown.
+
+    NOTE
+        Every scheduler is put into dry run mode (see dry() in index.js) before the module is loaded,
+        so that jobs which run right away (see @option.autorun) or catch up on missed runs don't actually run.
+        That includes the schedulers that the module creates on its own, which only log what would have run.
+        Their logs go to stderr, just like everything else that the module prints, so that the output stays clean.
+*/
+
+const {check: type} = require("type-approve")
+const doncron = require("./index")
+const process = require("process")
+const path = require("path")
+
+
+
+const USAGE = `Usage: doncron <module> [--json]
+
+Loads a module with cronjob definitions and prints the compiled timers of every job,
+whether it's allowed to run on this machine, its description and its next run.
+
+Options:
+    --json      print the jobs as JSON
+    --help      print this help`
+
+
+
+const quit = function(code, text) {
+    const stream = code === 0 ? process.stdout : process.stderr
+    stream.write(`${text}\n`, () => process.exit(code)) // wait for the output, because the timers of the jobs would keep the process alive
+}
+
+
+
+const print = function(jobs) {
+    if(jobs.length < 1) return "There are no jobs."
+    return jobs
+        .map(job => [
+            `${job.name} (${job.allowed ? "allowed" : "not allowed"} on this machine)`,
+            `    ${job.description}`,
+            ...job.timers.map(timer => `    ${timer}`),
+            `    next run: ${job.next === null ? "never" : job.next.toISOString()}`
+        ].join("\n"))
+        .join("\n\n")
+}
+
+
+
+const main = function(args) {
+    const file = args.find(arg => !arg.startsWith("--"))
+    if(args.includes("--help")) return quit(0, USAGE)
+    if(file === undefined) return quit(1, USAGE)
+
+    const silent = () => {}
+    doncron.common_settings.logger = {debug: silent, info: silent, warn: silent, error: silent}
+    doncron.common_settings.dryRun = true
+    process.env.DONCRON_DRY_RUN = "1" // for the schedulers that the module creates on its own
+    for(const level of ["log", "debug", "info"]) console[level] = console.error // the output of the module must not mix with the one of the cli
+
+    let exported
+    try {
+        exported = require(path.resolve(file))
+    } catch(error) {
+        return quit(1, `Couldn't load '${file}': ${error.message.split("\nRequire stack:")[0]}`)
+    }
+    const scheduler = exported !== null && typeof exported === "object" && type({function: exported.list}) && type({array: exported.queue}) ? exported : doncron
+    const jobs = scheduler.list()
+    return quit(0, args.includes("--json") ? JSON.stringify(jobs, null, 4) : print(jobs))
+}
+
+
+
+main(process.argv.slice(2))
@@ -0,0 +1,121 @@
+/*
+    This module provides clocks, which tell the scheduler what time it is and wake it up when a job is due
+
+    A clock is any object with three methods:
+        now()                           returns the current time as a Date
+        setTimeout(callback, ms)        calls the callback after the given milliseconds and returns a handle
+        clearTimeout(handle)            cancels it
+
+    The system clock is the real one. The fake clock only moves when it's told to, which makes it possible
+    to test a whole week of cronjobs within milliseconds, e.g.
+        const clock = fake(new Date("2024-01-01T00:00:00Z"))
+        common_settings.clock = clock
+        schedule({name: "Backup all of my databases", handler, timestamp: time(03, 00)})
+        activate()
+        await clock.advance("3 days")   // the handler has run three times by now
+*/
+
+const {check: type, assert} = require("type-approve")
+
+
+
+const UNITS = [
+    [/^(ms|millis(econds?)?)$/i, 1],
+    [/^(s|sec(ond)?s?)$/i, 1000],
+    [/^(m|min(ute)?s?)$/i, 60 * 1000],
+    [/^(h|hrs?|hours?)$/i, 60 * 60 * 1000],
+    [/^(d|days?)$/i, 24 * 60 * 60 * 1000],
+    [/^(w|weeks?)$/i, 7 * 24 * 60 * 60 * 1000]
+]
+
+
+
+/*
+    Convert a duration into milliseconds
+    e.g.
+        milliseconds(1500)                  // 1500
+        milliseconds("3 days")              // 259200000
+        milliseconds("1 hour 30 minutes")   // 5400000
+        milliseconds("90s")                 // 90000
+*/
+const milliseconds = function(duration) {
+    if(type({number: duration})) return duration
+    assert(type({string: duration}), `Clock couldn't understand duration '${duration}'!`)
+    let output = 0
+    const rest = duration.replace(/(\d+(?:\.\d+)?)\s*([a-z]+)/gi, (_, amount, unit) => {
+        const factor = UNITS.find(([pattern]) => pattern.test(unit))
+        assert(factor !== undefined, `Clock couldn't understand unit '${unit}' in duration '${duration}'! Use ms, seconds, minutes, hours, days or weeks.`)
+        output += parseFloat(amount) * factor[1]
+        return ""
+    })
+    assert(rest.trim().length < 1 && output >= 0, `Clock couldn't understand duration '${duration}'! Use something like '3 days' or '1 hour 30 minutes'.`)
+    return output
+}
+
+
+
+const system = {
+    now: () => new Date(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: handle => clearTimeout(handle)
+}
+
+
+
+/*
+    Let pending Promises (e.g. of async handlers) settle before the fake clock moves on
+    NOTE: This only covers handlers that don't wait for real I/O, like network requests or file access.
+*/
+const settle = function() {
+    return new Promise(resolve => setImmediate(resolve))
+}
+
+
+
+/*
+    Create a fake clock that starts at the given time and only moves on with advance()
+    All timeouts that are due in the meantime are called in order, at their exact (fake) time.
+*/
+const fake = function(start = new Date()) {
+    assert(!isNaN(new Date(start)), `Clock couldn't start at invalid date '${start}'!`)
+    let current = new Date(start).getTime()
+    let timeouts = []
+    let sequence = 0
+
+    const clock = {
+        now: () => new Date(current),
+        setTimeout: function(callback, ms = 0) {
+            const handle = ++sequence
+            timeouts.push({handle, due: current + Math.max(0, ms), callback})
+            return handle
+        },
+        clearTimeout: function(handle) {
+            timeouts = timeouts.filter(timeout => timeout.handle !== handle)
+        },
+        advance: async function(duration) {
+            const until = current + milliseconds(duration)
+            await settle()
+            for(;;) {
+                const [next] = timeouts
+                    .filter(timeout => timeout.due <= until)
+                    .sort((a, b) => a.due - b.due || a.handle - b.handle)
+                if(next === undefined) break
+                timeouts = timeouts.filter(timeout => timeout !== next)
+                current = Math.max(current, next.due)
+                next.callback()
+                await settle()
+            }
+            current = until
+            return clock.now()
+        }
+    }
+    return clock
+}
+
+
+
+module.exports = {
+    milliseconds,
+    system,
+    fake
+}
@@ -0,0 +1,234 @@
+/*
+    This module reads declarative job definitions, which load() in index.js turns into scheduled jobs
+    It lets ops tweak the timing of jobs without touching (and deploying) any code.
+
+    A config is a JSON file, a JavaScript module or a plain object (e.g. parsed from YAML) like this:
+        {
+            "jobs": [
+                {
+                    "name": "Backup all of my databases",
+                    "handler": {"module": "./jobs/backup", "export": "run"},
+                    "timestamp": {"time": [3, 0], "weekday": ["mon-fri"]},
+                    "timeout": 3600000
+                },
+                {
+                    "name": "Renew the SSL certificates",
+                    "handler": "./jobs/renew",
+                    "timestamp": [{"time": [1, 0]}, {"weekday": "sunday"}],
+                    "catchUp": "once"
+                }
+            ]
+        }
+
+    A handler is a module path (relative to the config file) plus an optional export name, or just the module path
+    if the module itself is the handler function. A timestamp uses the same vocabulary as the helpers in index.js:
+        time        [hour, minute, second]                  e.g. [10, 5] or 10
+        weekday     [weekday, ...]                          e.g. ["sunday"] or "mon-fri"
+        month       [day, month, ...]                       e.g. [1, "jan", "jul"] or [15] (every month)
+        every       [interval, unit]                        e.g. [15, "minutes"]
+        between     [start, end]                            e.g. [9, 17] (hours only)
+        lastDay     true or [month, ...]                    e.g. true or ["mar", "jun", "sep", "dec"]
+        nth         [number, weekday, month, ...]           e.g. [2, "tuesday"] or [-1, "fri", "jan-mar"]
+        cron        a timer string                          e.g. "0 30 7 * * 1-5"
+    All of them (across a list of timestamps) are joined into one schedule, just like schedule() does.
+    Any other key of a job is one of the options of schedule(), e.g. timezone, timeout, retry, catchUp or exclude.
+*/
+
+const {check: type, assert} = require("type-approve")
+const {Timestamp} = require("./timestamp")
+const {supported, excludable} = require("./calendar")
+const {CONCURRENCY} = require("./runner")
+const {CATCHUP} = require("./store")
+const {LOCALES} = require("./describe")
+const path = require("path")
+const fs = require("fs")
+
+
+
+let sequence = 0 // numbers the objects that are read without an origin, see read()
+
+
+
+const OPTIONS = { // the options of schedule() that can be configured and a description of the values they accept
+    allowed: [value => type({boolean: value}), "true or false"],
+    perpetual: [value => type({boolean: value}), "true or false"],
+    autorun: [value => type({boolean: value}), "true or false"],
+    exclusive: [value => type({boolean: value}), "true or false"],
+    timezone: [supported, "a timezone like 'Europe/Berlin'"],
+    timeout: [value => type({number: value}) && value >= 0, "a number of milliseconds"],
+    retry: [value => type({object: value}) && type({integer: value.attempts}) && value.attempts >= 1 && (value.backoff === undefined || type({number: value.backoff})), "{attempts, backoff}"],
+    concurrency: [value => CONCURRENCY.includes(value), `one of '${CONCURRENCY.join("', '")}'`],
+    catchUp: [value => CATCHUP.includes(value), `one of '${CATCHUP.join("', '")}'`],
+    locale: [value => type({string: value}) && LOCALES.includes(value.toLowerCase().split(/[-_]/)[0]), `one of '${LOCALES.join("', '")}'`],
+    exclude: [value => type({function: value}) || (type({array: value}) && value.every(excludable)), "a list of days like '2024-12-25' or '12-25'"]
+}
+
+
+
+/*
+    Turn one timestamp definition, e.g. {time: [10, 5], weekday: ["sunday"]}, into a list of Timestamps
+    The helpers are called one value at a time, because they silently ignore the values they don't understand.
+    Every value that doesn't describe any time at all is reported as an error instead.
+*/
+const timestamps = function(definition, helper, errors, label) {
+    const output = []
+    const empty = timestamp => Object.values(timestamp).every(values => values === undefined)
+    const list = value => type({array: value}) ? value : [value]
+    for(const [key, value] of Object.entries(definition)) {
+        try {
+            if(key === "time") {
+                const [hour = 0, minute = 0, second = 0] = list(value)
+                const valid = list(value).length <= 3 && [[hour, 23], [minute, 59], [second, 59]].every(([number, max]) => type({integer: number}) && number >= 0 && number <= max)
+                if(valid) output.push(helper.time(hour, minute, second))
+                else errors.push(`${label}.time '${JSON.stringify(value)}' isn't [hour, minute, second]`)
+            } else if(key === "weekday") {
+                for(const weekday of list(value)) {
+                    const timestamp = helper.weekday(weekday)
+                    if(empty(timestamp)) errors.push(`${label}.weekday '${weekday}' isn't a weekday`)
+                    else output.push(timestamp)
+                }
+            } else if(key === "month") {
+                const [day, ...months] = list(value)
+                if(!type({integer: day}) || day < 1 || day > 31) errors.push(`${label}.month '${JSON.stringify(value)}' doesn't start with a day [1-31]`)
+                else if(months.length < 1) output.push(helper.month(day))
+                for(const month of months) {
+                    const timestamp = helper.month(day, month)
+                    if(timestamp.month === undefined) errors.push(`${label}.month '${month}' isn't a month`)
+                    else output.push(timestamp)
+                }
+            } else if(key === "every") {
+                const [interval, unit] = list(value)
+                const timestamp = helper.every(interval, unit)
+                if(!type({integer: interval}) || interval < 1 || empty(timestamp)) errors.push(`${label}.every '${JSON.stringify(value)}' isn't [interval, unit]`)
+                else output.push(timestamp)
+            } else if(key === "between") {
+                const [start, end] = list(value)
+                const timestamp = helper.between(start, end)
+                if(empty(timestamp)) errors.push(`${label}.between '${JSON.stringify(value)}' isn't a range of hours`)
+                else output.push(timestamp)
+            } else if(key === "lastDay") {
+                const months = value === true ? [] : list(value)
+                const timestamp = helper.lastDay(...months)
+                const unknown = months.filter(month => helper.lastDay(month).month === undefined)
+                for(const month of unknown) errors.push(`${label}.lastDay '${month}' isn't a month`)
+                if(unknown.length < 1) output.push(timestamp)
+            } else if(key === "nth") {
+                const [number, weekday, ...months] = list(value)
+                const timestamp = helper.nth(number, weekday, ...months)
+                const unknown = months.filter(month => helper.lastDay(month).month === undefined)
+                const valid = type({integer: number}) && ((number >= 1 && number <= 5) || number === -1) && timestamp.rule !== undefined
+                if(!valid) errors.push(`${label}.nth '${JSON.stringify(value)}' isn't [number, weekday, month, ...]`)
+                for(const month of unknown) errors.push(`${label}.nth '${month}' isn't a month`)
+                if(valid && unknown.length < 1) output.push(timestamp)
+            } else if(key === "cron") {
+                output.push(Timestamp.from(value))
+            } else {
+                errors.push(`${label} has unknown key '${key}', use 'time', 'weekday', 'month', 'every', 'between', 'lastDay', 'nth' or 'cron'`)
+            }
+        } catch(error) {
+            errors.push(`${label}.${key}: ${error.message}`)
+        }
+    }
+    return output
+}
+
+
+
+/*
+    Import the handler function of a job from a module path (relative to the directory) and an optional export name
+*/
+const handler = function(definition, directory, errors, label) {
+    const {module: file, export: name} = type({string: definition}) ? {module: definition} : (definition || {})
+    if(!type({string: file}) || (name !== undefined && !type({string: name}))) {
+        errors.push(`${label}.handler isn't a module path or {module, export}`)
+        return
+    }
+    try {
+        const imported = require(require.resolve(file, {paths: [directory]}))
+        const output = name === undefined ? imported : imported[name]
+        if(type({function: output})) return output
+        errors.push(`${label}.handler '${file}'${name === undefined ? "" : ` (export '${name}')`} isn't a function`)
+    } catch(error) {
+        errors.push(`${label}.handler '${file}' couldn't be imported: ${error.message.split("\n")[0]}`)
+    }
+}
+
+
+
+/*
+    Read a config from a file path or an object and return its origin and the options of all of its jobs
+    The origin is the absolute path of the file, which tells load() which jobs came from where. Objects have no path,
+    so they get the given name as their origin, or a new one on every read (e.g. 'config #1'), which is never reconciled with anything else.
+    Everything is validated first and all errors are reported at once, so that nothing gets scheduled from a broken config.
+    e.g.
+        read("./cron.json", {time, weekday, month, every, between})
+        // {origin: "/app/cron.json", jobs: [{name, handler, timestamp, fingerprint, origin, ...option}]}
+        read(yaml.parse(text), {time, weekday, month, every, between}, "billing")
+        // {origin: "billing", jobs: [...]}
+*/
+const read = function(source, helper, name) {
+    assert(name === undefined || (type({string: name}) && name.length > 0), `Scheduler couldn't read a config with origin '${name}'! Use a name like 'billing'.`)
+    let definition = source
+    let origin = name
+    let directory = process.cwd()
+    if(type({string: source})) {
+        origin = path.resolve(source) // a file is always the same origin, no matter what name is given
+        directory = path.dirname(origin)
+        try {
+            if(/\.json$/i.test(origin)) {
+                definition = JSON.parse(fs.readFileSync(origin, "utf8"))
+            } else {
+                delete require.cache[origin] // always read the latest version
+                definition = require(origin)
+            }
+        } catch(error) {
+            assert(false, `Scheduler couldn't read config '${origin}': ${error.message}`)
+        }
+    } else if(origin === undefined) {
+        origin = `config #${++sequence}`
+    }
+
+    const errors = []
+    const jobs = []
+    const list = type({array: definition}) ? definition : (definition || {}).jobs
+    if(!type({array: list})) errors.push(`config has no list of jobs`)
+
+    for(const [index, job] of (type({array: list}) ? list : []).entries()) {
+        const label = `jobs[${index}]`
+        if(!type({object: job})) {
+            errors.push(`${label} isn't an object`)
+            continue
+        }
+        const {name, handler: reference, timestamp, ...option} = job
+        if(!type({string: name}) || name.length < 1) errors.push(`${label} has no name`)
+        else if(jobs.some(other => other.name === name)) errors.push(`${label} has the same name '${name}' as another job`)
+        const prefix = type({string: name}) ? `${label} '${name}'` : label
+        const fn = handler(reference, directory, errors, prefix)
+        const output = []
+        for(const [count, item] of (type({array: timestamp}) ? timestamp : timestamp === undefined ? [] : [timestamp]).entries()) {
+            const key = type({array: timestamp}) ? `${prefix}.timestamp[${count}]` : `${prefix}.timestamp`
+            if(type({string: item})) output.push(...timestamps({cron: item}, helper, errors, key))
+            else if(type({object: item})) output.push(...timestamps(item, helper, errors, key))
+            else errors.push(`${key} isn't an object like {time: [10, 5], weekday: ["sunday"]} or a timer string`)
+        }
+        if(timestamp === undefined) errors.push(`${prefix} has no timestamp`)
+        else if(output.length < 1 && !errors.some(error => error.startsWith(`${prefix}.timestamp`))) errors.push(`${prefix}.timestamp is empty`)
+        for(const [key, value] of Object.entries(option)) {
+            if(!OPTIONS[key]) errors.push(`${prefix} has unknown option '${key}'`)
+            else if(!OPTIONS[key][0](value)) errors.push(`${prefix}.${key} '${JSON.stringify(value)}' isn't ${OPTIONS[key][1]}`)
+        }
+        jobs.push({...option, name, handler: fn, timestamp: output, origin, fingerprint: JSON.stringify(job)})
+    }
+
+    assert(
+        errors.length < 1,
+        `Scheduler couldn't load config '${origin}' because of ${errors.length} error${errors.length > 1 ? "s" : ""}:\n${errors.map(error => `    ${error}`).join("\n")}`
+    )
+    return {origin, jobs}
+}
+
+
+
+module.exports = {
+    read
+}
@@ -0,0 +1,242 @@
+/*
+    This module turns cronjob timer strings into human-readable text
+    e.g.
+        describe(["59 30 7,9 1 6,12 1,5"])
+        // 'at 07:30:59 and 09:30:59 on the 1st of June and December, and on Mondays and Fridays'
+        describe(["0 0-59/15 9-17 * * 1-5"], {locale: "de"})
+        // 'alle 15 Minuten während der Stunden 9 bis 17 montags bis freitags'
+
+    Every language is a dictionary of words and phrases below. Adding another one means translating one of them.
+*/
+
+const {check: type, assert} = require("type-approve")
+const {parse} = require("./calendar")
+
+
+
+const TIMES = 6 // maximum number of times of day to list one by one, e.g. 'at 07:30 and 09:30'
+
+const LANGUAGES = {
+    en: {
+        and: "and",
+        to: "to",
+        list: ", ",
+        timers: "; ",
+        also: ", and ",
+        every: {second: "every second", minute: "every minute", hour: "every hour", day: "every day"},
+        steps: {second: "every {n} seconds", minute: "every {n} minutes", hour: "every {n} hours"},
+        slot: {
+            second: ["at second {list}", "at seconds {list}"],
+            minute: ["at minute {list}", "at minutes {list}"],
+            hour: ["during hour {list}", "during hours {list}"]
+        },
+        at: "at {list}",
+        day: "on the {list}",
+        monthly: "{days} of every month",
+        dated: "{days} of {months}",
+        month: "in {list}",
+        weekday: "on {list}",
+        rule: {phrase: "on the {nth} {day} {months}", last: "last", day: "day", monthly: "of the month", month: "of {list}"},
+        ordinal: number => {
+            const suffix = number % 100 >= 11 && number % 100 <= 13 ? "th" : ["th", "st", "nd", "rd"][number % 10] || "th"
+            return `${number}${suffix}`
+        },
+        months: ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"],
+        weekdays: ["Sundays", "Mondays", "Tuesdays", "Wednesdays", "Thursdays", "Fridays", "Saturdays"],
+        days: ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"]
+    },
+    de: {
+        and: "und",
+        to: "bis",
+        list: ", ",
+        timers: "; ",
+        also: ", sowie ",
+        every: {second: "jede Sekunde", minute: "jede Minute", hour: "jede Stunde", day: "täglich"},
+        steps: {second: "alle {n} Sekunden", minute: "alle {n} Minuten", hour: "alle {n} Stunden"},
+        slot: {
+            second: ["in Sekunde {list}", "in den Sekunden {list}"],
+            minute: ["in Minute {list}", "in den Minuten {list}"],
+            hour: ["während der Stunde {list}", "während der Stunden {list}"]
+        },
+        at: "um {list}",
+        day: "am {list}",
+        monthly: "{days} jedes Monats",
+        dated: "{days} {months}",
+        month: "im {list}",
+        weekday: "{list}",
+        rule: {phrase: "am {nth} {day} {months}", last: "letzten", day: "Tag", monthly: "des Monats", month: "im {list}"},
+        ordinal: number => `${number}.`,
+        months: ["Januar", "Februar", "März", "April", "Mai", "Juni", "Juli", "August", "September", "Oktober", "November", "Dezember"],
+        weekdays: ["sonntags", "montags", "dienstags", "mittwochs", "donnerstags", "freitags", "samstags"],
+        days: ["Sonntag", "Montag", "Dienstag", "Mittwoch", "Donnerstag", "Freitag", "Samstag"]
+    }
+}
+
+
+
+const LOCALES = Object.keys(LANGUAGES)
+
+
+
+const fill = function(phrase, values) {
+    return phrase.replace(/\{(\w+)\}/g, (_, key) => values[key])
+}
+
+
+
+const pad = function(number) {
+    return String(number).padStart(2, "0")
+}
+
+
+
+/*
+    Join a list of words the way one would write them down, e.g. 'a, b and c'
+    Three or more consecutive numbers become a range, e.g. [1, 2, 3, 5] becomes '1 to 3 and 5'
+*/
+const enumerate = function(values, language, name = String) {
+    const words = []
+    for(let start = 0, end = 0; start < values.length; start = end + 1) {
+        for(end = start; type({number: values[end]}) && values[end + 1] === values[end] + 1;) end++
+        if(end - start > 1) words.push(`${name(values[start])} ${language.to} ${name(values[end])}`)
+        else words.push(...values.slice(start, end + 1).map(name))
+    }
+    if(words.length < 2) return words.join("")
+    return `${words.slice(0, -1).join(language.list)} ${language.and} ${words[words.length - 1]}`
+}
+
+
+
+/*
+    Get the step of a list of values, if it's a regular step from zero that covers the whole slot, e.g. [0, 15, 30, 45]
+*/
+const step = function(values, max) {
+    if(values === null || values.length < 2 || values[0] !== 0) return 0
+    const size = values[1] - values[0]
+    const regular = values.every((value, index) => value === index * size)
+    return regular && values[values.length - 1] + size > max ? size : 0
+}
+
+
+
+const listed = function({second, minute, hour}) {
+    return second !== null && minute !== null && hour !== null && second.length * minute.length * hour.length <= TIMES
+}
+
+
+
+/*
+    List the times of day of one or more parsed timers in chronological order, e.g. ['07:30', '09:00']
+    The seconds are left out, unless one of the timers needs them.
+*/
+const times = function(group) {
+    const seconds = group.some(fields => fields.second.join() !== "0")
+    const output = []
+    for(const {second, minute, hour} of group) {
+        for(const h of hour) {
+            for(const m of minute) {
+                for(const s of second) output.push(h * 3600 + m * 60 + s)
+            }
+        }
+    }
+    return output
+        .filter((value, index, self) => self.indexOf(value) === index)
+        .sort((a, b) => a - b)
+        .map(value => `${pad(Math.floor(value / 3600))}:${pad(Math.floor(value / 60) % 60)}${seconds ? `:${pad(value % 60)}` : ""}`)
+}
+
+
+
+const clock = function(fields, language) {
+    const {second, minute, hour} = fields
+    if(listed(fields)) return fill(language.at, {list: enumerate(times([fields]), language)})
+    const phrases = []
+    let every = false // whether a finer slot already says 'every ...', which implies all of the coarser wildcards
+    const zero = {second: second !== null && second.join() === "0", minute: minute !== null && minute.join() === "0"}
+    for(const [field, values, max] of [["second", second, 59], ["minute", minute, 59], ["hour", hour, 23]]) {
+        if(field === "second" && zero.second) continue // a full minute is the default
+        if(field === "minute" && zero.second && zero.minute && (hour === null || step(hour, 23))) continue // a full hour is the default
+        if(values === null) {
+            if(!every) phrases.push(language.every[field])
+            every = true
+        } else if(step(values, max)) {
+            phrases.push(fill(language.steps[field], {n: step(values, max)}))
+            every = true
+        } else {
+            phrases.push(fill(language.slot[field][values.length > 1 ? 1 : 0], {list: enumerate(values, language)}))
+        }
+    }
+    return phrases.join(" ")
+}
+
+
+
+const calendar = function(fields, language) {
+    const {day, month, weekday} = fields
+    const months = month === null ? null : enumerate(month, language, value => language.months[value - 1])
+    const phrases = []
+    if(day !== null) {
+        const days = fill(language.day, {list: enumerate(day, language, language.ordinal)})
+        phrases.push(months === null ? fill(language.monthly, {days}) : fill(language.dated, {days, months}))
+    }
+    if(weekday !== null) {
+        const weekdays = fill(language.weekday, {list: enumerate(weekday, language, value => language.weekdays[value])})
+        phrases.push(months === null || day !== null ? weekdays : `${weekdays} ${fill(language.month, {list: months})}`)
+    }
+    if(phrases.length < 1 && months !== null) phrases.push(fill(language.month, {list: months}))
+    return phrases.join(language.also)
+}
+
+
+
+/*
+    Describe a rule of a Timestamp (see timestamp.js), e.g. 'on the last day of the month' or 'on the 2nd Tuesday of March'
+*/
+const rule = function({nth, weekday, month}, language) {
+    return fill(language.rule.phrase, {
+        nth: nth === -1 ? language.rule.last : language.ordinal(nth),
+        day: weekday === null ? language.rule.day : language.days[weekday],
+        months: month === null ? language.rule.monthly : fill(language.rule.month, {list: enumerate(month, language, value => language.months[value - 1])})
+    })
+}
+
+
+
+/*
+    Describe one or more timer strings (e.g. the result of join() in index.js) in the given language
+    Timers that were split into multiple parts are described one after the other,
+    except for the ones that only differ in their time of day, which are described together.
+
+    Options:
+        locale      the language to use, e.g. "en" (default), "de" or "de-DE"
+        rules       the rules of the Timestamps (see timestamp.js), which are added to the days of the timers
+*/
+const describe = function(timers, {locale = "en", rules = []} = {}) {
+    const code = type({string: locale}) ? locale.toLowerCase().split(/[-_]/)[0] : locale
+    const language = LANGUAGES[code]
+    assert(language !== undefined, `Scheduler couldn't describe timers in unknown locale '${locale}'! Use one of '${LOCALES.join("', '")}'.`)
+    const groups = []
+    for(const timer of type({array: timers}) ? timers : [timers]) {
+        const fields = parse(timer)
+        const date = [calendar(fields, language), ...rules.map(item => rule(item, language))]
+            .filter(phrase => phrase.length > 0)
+            .join(language.also)
+        const group = groups.find(group => group.timed && listed(fields) && group.date === date)
+        if(group) group.fields.push(fields)
+        else groups.push({date, timed: listed(fields), fields: [fields]})
+    }
+    return groups
+        .map(({date, timed, fields}) => {
+            const time = timed ? fill(language.at, {list: enumerate(times(fields), language)}) : clock(fields[0], language)
+            if(date.length > 0) return `${time} ${date}`
+            return timed ? `${time} ${language.every.day}` : time
+        })
+        .join(language.timers)
+}
+
+
+
+module.exports = {
+    LOCALES,
+    describe
+}
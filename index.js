@@ -3,8 +3,8 @@
     The module provides helper function that abstract away the weird syntax
     that cronjob timer are using (as shown in the cheatsheet below)
 
-    Each helper (daily, weekly, monthly, ...) will generate a fixed and distinct timestamp (no comma-separated values)
-    and the resulting strings can then be merged together to create more sophisticated schedules
+    Each helper (daily, weekly, monthly, ...) will generate a fixed and distinct timestamp (see timestamp.js)
+    and the resulting timestamps can then be merged together to create more sophisticated schedules
     See usage examples below as each helper is well documented
 */
 
@@ -26,9 +26,19 @@
 ///////////////////////////////////////////////////////////////////////////////////////////////////
 
 const {check: type, assert} = require("type-approve")
-const {validate, schedule} = require("node-cron")
+const {validate, schedule} = require("./timer")
+const {parse, matches, occurs, excludable, supported, wallclock, upcoming} = require("./calendar")
+const {LOCALES, describe} = require("./describe")
+const {FIELDS, BOUNDS, range, Timestamp} = require("./timestamp")
+const {CONCURRENCY, runner} = require("./runner")
+const lock = require("./lock")
+const store = require("./store")
+const config = require("./config")
+const clock = require("./clock")
+const admin = require("./admin")
 
 const process = require("process")
+const EventEmitter = require("events")
 const PID = process.pid
 const APN = process.env.name
 
@@ -50,204 +60,435 @@ const clamp = function(int, min = 0, max = 1) {
 }
 
 
+
 /*
-    Discard all duplicate values from a schedule timer string
-    The values are converted into a series of arrays (slots) then filtered and joined back into a timer string
+    Convert a day from number or string into an index [0-6] (0 is sunday, and so is 7)
+    Returns -1 for unknown weekdays
 */
-const unique = function(str) {
-    return str
-        .split(" ")
-        .map(slot => slot
-            .split(",")
-            .filter((value, index, self) => self.indexOf(value) === index)
-            .join(",")
-        )
-        .join(" ")
+const weekday_number = function(weekday) {
+    return [
+        /^(0|sun(day)?)$/i,
+        /^(1|mon(day)?)$/i,
+        /^(2|tue(sday)?)$/i,
+        /^(3|wed(nesday)?)$/i,
+        /^(4|thu(rsday)?)$/i,
+        /^(5|fri(day)?)$/i,
+        /^(6|sat(urday)?)$/i,
+        /^(7|sun(day)?)$/i
+    ].findIndex(pattern => pattern.test(String(weekday).trim())) % 7
 }
 
 
 
 /*
-    Sort values of a schedule timer string
-    The values are converted into a series of arrays (slots) then sorted and joined back into a timer string
+    Convert a month from number or string into an index [1-12]
+    Returns 0 for unknown months
 */
-const sorted = function(str) {
-    return str
-        .split(" ")
-        .map(slot => slot
-            .split(",")
-            .sort((a, b) => a - b)
-            .join(",")
-        )
-        .join(" ")
+const month_number = function(month) {
+    return [
+        /^(1|jan(uary)?)$/i,
+        /^(2|feb(ruary)?)$/i,
+        /^(3|mar(ch)?)$/i,
+        /^(4|apr(il)?)$/i,
+        /^(5|may)$/i,
+        /^(6|june?)$/i,
+        /^(7|july?)$/i,
+        /^(8|aug(ust)?)$/i,
+        /^(9|sep(tember)?)$/i,
+        /^(10|oct(ober)?)$/i,
+        /^(11|nov(ember)?)$/i,
+        /^(12|dec(ember)?)$/i
+    ].findIndex(pattern => pattern.test(String(month).trim())) + 1
 }
 
 
 
 /*
-    Takes multiple timer strings and compiles them into a single schedule timer
-    NOTE
-        This is a rather 'private' version of the function.
-        It does not discard duplicate values and does not sort them!
-        For regular enduser usage, use the join() function call!
-*/
-const compile = function(...source) {
-    const output = "0 0 0 0 0 0".split(" ").reverse() // default timer
-    const input = source.map(timer => {
-        return timer
-            .replace(/^([0]\s?)*/, "") // remove leading zeros
-            .split(" ")
-            .reverse()
-    })
-    for(const [slot, value] of output.entries()) {
-        let buffer = []
-        for(let timer = 0; timer < source.length; timer++) {
-            if(input[timer][slot]) {
-                /*if(slot === 4) buffer.splice(0, buffer.length, input[timer][slot].split(",")[0]) // merge minutes
-                else*/ buffer.push(...input[timer][slot].split(","))
-            }
-        }
-        output[slot] = buffer
-            .join(",")
-            .replace(/(,\*|\*,)/g, "") // discard wildcards (*) if they're not the only value
-            .replace(/^[^\*\d,]*$/, value) // fall back to default timer value if there's none
+    List all values from first to last (both inclusive) and wrap around at the max value
+    e.g.
+        span(1, 5, 0, 6)    // [1, 2, 3, 4, 5]
+        span(22, 2, 0, 23)  // [22, 23, 0, 1, 2]
+*/
+const span = function(first, last, min, max) {
+    const output = [first]
+    for(let value = first; value !== last;) {
+        value = value < max ? value + 1 : min
+        output.push(value)
     }
-    return output.reverse().join(" ")
+    return output
 }
 
 
-
 /*
-    Takes multiple timer strings and compiles them into a single schedule timer
+    Takes multiple timestamps and merges them slot by slot into a single Timestamp
+    The values of each slot are simply collected, so the result is the cartesian product of all of them.
+    Wildcards (*) are discarded if there are other values in the same slot. Unspecified slots stay unspecified.
 
-    NOTE
-        This is basically the compile() function but for 'public' use!
-        It merges schedule timers into one single string
-        and also discards duplicate values in the slots
-        and also sorts the values in ascending order.
-    
     For example:
         join(
-            monthly("jun"),     // '0 0 0 1 6 *'
-            monthly("dec"),     // '0 0 0 1 12 *'
-            weekly("monday"),   // '0 0 0 * * 1'
-            weekly("friday"),   // '0 0 0 * * 5'
-            daily(09, 30),      // '0 30 9 * * *'
-            daily(07, 00)       // '0 0 7 * * *'
-        )                       // '0 30 7,9 1 6,12 1,5' (merged from all of the above)
+            monthly(1, "jun"),  // {day: [1], month: [6]}
+            monthly(1, "dec"),  // {day: [1], month: [12]}
+            weekly("monday"),   // {weekday: [1]}
+            weekly("friday"),   // {weekday: [5]}
+            daily(09, 30),      // {second: [0], minute: [30], hour: [9]}
+            daily(07, 00)       // {second: [0], minute: [0], hour: [7]}
+        )                       // '0 0,30 7,9 1 6,12 1,5' (merged from all of the above)
     
-        NOTE, that it has evaluated to 09:30AM and 07:30AM (instead of 07:00AM)!
-        This happens because all leading zeros are stripped behind the scenes,
-        which is why this minute setting is missing in the resulting timer string.
-        A compromise I had to make in order to be able to compile all other edge-cases.
-        
-        To FIX this, simply subtract 1 second and use `daily(06, 59)`
-        The result becomes more predictable '0 30,59 6,9 1 6,12 1,5'
-
-        However, this may not be the expected schedule timer
-        because instead of running at 06:59AM and 09:30AM
-        it would rather run at 06:30AM, 06:59AM, 09:30AM and 09:59AM!
-
-        To force the desired behaviour you'd need to setup two separate timers
-        ['0 59 6 1 6,12 1,5', '0 30 9 1 6,12 1,5'] and simply use the same handler on both.
-        In most cases it's better to split the schedule into two distinct schedules anyways
-        e.g.
-            const first = join(
-                monthly("jun"),
-                weekly(["monday", "friday"]),
-                daily(09, 30),
-            )
-            const second = join(
-                monthly("dec"),
-                weekly(["monday", "friday"]),
-                daily(07, 00)
-            )
+        NOTE, that it has evaluated to 07:00AM, 07:30AM, 09:00AM and 09:30AM (instead of only 07:00AM and 09:30AM)!
+        This happens because the minutes and hours are merged independently from each other.
+        That's why schedule() uses combine() instead, which splits the timestamps into separate timers where needed.
 */
 const join = function(...source) {
-    return sorted(unique(compile(...source)))
+    const fields = {}
+    for(const field of FIELDS) {
+        const slots = source
+            .map(timestamp => Timestamp.from(timestamp)[field])
+            .filter(values => values !== undefined)
+        const values = slots.filter(values => values !== null).flat()
+        if(values.length > 0) fields[field] = values
+        else if(slots.length > 0) fields[field] = null
+    }
+    return new Timestamp(fields)
 }
 
 
 
 /*
-    Takes a timer string and identifies comma-separated values in it
-    Then splits provided timer string out into separate timer strings from those comma-separated values
+    Takes a timestamp and breaks it down into the parts that the helpers produce:
+    the time of day (second, minute, hour), the date (day of month, month) and the day of week.
+    Slots are expanded into lists of values, a wildcard (*) becomes null and so do the parts that the timestamp doesn't specify.
+
+    A timestamp that specifies only some of the time slots, e.g. between(9, 17) which only specifies hours,
+    is not a time of day on its own, but a window that narrows down the times of day of all other timestamps.
+*/
+const decompose = function(source) {
+    const timestamp = Timestamp.from(source)
+    const {second, minute, hour, day, month, weekday} = timestamp.resolve()
+    const timed = CLOCK.filter(field => timestamp[field] !== undefined).length
+    const dated = timestamp.day !== undefined || timestamp.month !== undefined
+    return {
+        clock: timed === CLOCK.length ? [second, minute, hour].map((values, index) => values || range(...BOUNDS[CLOCK[index]])) : null,
+        window: timed > 0 && timed < CLOCK.length ? CLOCK.map(field => timestamp[field] === undefined ? null : timestamp[field]) : null,
+        date: dated ? {day, month: month || range(...BOUNDS.month)} : null,
+        weekday
+    }
+}
+
+
 
-    Basically the opposite operation of join()
-    For example, split('0 30,59 12,7 * * *') becomes ['0 30 12 * * *', '0 59 7 * * *']
+const CLOCK = ["second", "minute", "hour"]
 
-    A use-case when this function comes in handy would be if you join() multiple daily() statements
-    and the resulting timer string has multiple (comma-separated) values for minutes!
+
+
+const intersect = function(a, b) {
+    if(a === null) return b
+    if(b === null) return a
+    return a.filter(value => b.includes(value))
+}
+
+
+
+/*
+    Collect the times of day of decomposed timestamps as 'boxes' (see below) and narrow them down by the windows
+    If there are only windows, then they are the times of day themselves, e.g. between(9, 17) runs hourly from 09:00AM to 05:00PM
+    And if there's nothing at all, then it runs at midnight.
 */
-const split = function(source) {
-    const input = source.split(" ").reverse()
-    const day_month_weekday = input.slice(0, 3).map(slot => sorted(unique(slot)))
-    const hour = input[3].split(",")
-    const minute = input[4].split(",")
-    const second = (input[5] || "0").split(",")
-    const splits = Math.max(hour.length, minute.length, second.length)
-    const output = [...new Array(splits)].map(() => [...day_month_weekday])
+const times = function(parts) {
+    const windows = parts.filter(part => part.window !== null).map(part => part.window)
+    const window = CLOCK.map((_, index) => windows.reduce((values, window) => intersect(values, window[index]), null))
+    const clocks = parts.filter(part => part.clock !== null).map(part => part.clock)
+    if(clocks.length < 1) {
+        const fallback = new Timestamp(Object.fromEntries(CLOCK.map((field, index) => [field, window[index] || undefined]))).resolve()
+        clocks.push(CLOCK.map(field => fallback[field] || range(...BOUNDS[field])))
+    }
+    return clocks
+        .map(box => box.map((values, index) => intersect(values, window[index])))
+        .filter(box => box.every(values => values.length > 0))
+}
+
+
+
+/*
+    Times of day are handled as 'boxes', that is a list of seconds, a list of minutes and a list of hours,
+    which stand for every combination (cartesian product) of those values.
+
+    This function cuts box b out of box a and returns the remaining pieces of a (which are boxes too)
+    e.g.
+        subtract([[0], [0, 30], [7, 9]], [[0], [0], [9]])
+        // [[[0], [30], [7, 9]], [[0], [0], [7]]]
+*/
+const subtract = function(a, b) {
+    if(!a.every((values, slot) => values.some(value => b[slot].includes(value)))) return [a] // no overlap
+    const output = []
+    let rest = a
+    for(let slot = 0; slot < a.length; slot++) {
+        const outside = rest[slot].filter(value => !b[slot].includes(value))
+        const inside = rest[slot].filter(value => b[slot].includes(value))
+        if(outside.length > 0) output.push(rest.map((values, index) => index === slot ? outside : values))
+        rest = rest.map((values, index) => index === slot ? inside : values)
+    }
+    return output
+}
+
+
+
+/*
+    Turn a list of (possibly overlapping) boxes into as little boxes as possible
+    that cover the exact same times, without overlapping each other.
+    Two boxes are only merged into one if they differ in a single slot,
+    because only then the cartesian product of the merged box doesn't contain any new combinations.
+*/
+const partition = function(boxes) {
+    const output = []
+    for(const box of boxes) {
+        let pieces = [box]
+        for(const other of output) pieces = pieces.flatMap(piece => subtract(piece, other))
+        output.push(...pieces)
+    }
+    for(let merged = true; merged;) {
+        merged = false
+        for(let i = 0; i < output.length && !merged; i++) {
+            for(let j = i + 1; j < output.length && !merged; j++) {
+                const different = output[i]
+                    .map((values, slot) => values.join() !== output[j][slot].join() ? slot : -1)
+                    .filter(slot => slot >= 0)
+                if(different.length === 1) {
+                    const [slot] = different
+                    output[i][slot] = [...output[i][slot], ...output[j][slot]].sort((a, b) => a - b)
+                    output.splice(j, 1)
+                    merged = true
+                }
+            }
+        }
+    }
+    return output
+}
+
+
+
+/*
+    Takes multiple timestamps and compiles them into a list of timestamps
+    that fire at exactly the same times as the given ones, no more and no less.
+
+    The timestamps are combined by their parts: All times of day are alternatives to each other,
+    all dates are alternatives to each other and all weekdays too. The parts themselves apply all at once
+    and so do the windows from between(), which narrow down the times of day.
+    For example:
+        combine(
+            time(09, 30),       // at 09:30AM or 07:00AM
+            time(07, 00),
+            month(1, "jun"),    // on the 1st of june or december
+            month(1, "dec"),
+            weekday("monday")   // or on mondays (in june and december)
+        )
+        // ['0 0 7 1 6,12 1', '0 30 9 1 6,12 1'] (as Timestamp objects)
+
+    Values are only merged into one timestamp if the cartesian product of the slots is exact,
+    that's why 09:30 and 07:00 end up in separate timestamps, while 07:30 and 09:30 would be merged into '0 30 7,9 ...'
+
+    NOTE
+        Just like with the classic cron implementations, if a timer restricts both, the day of month
+        and the day of week, then it fires when EITHER of them matches (see the next() function).
+*/
+const combine = function(...source) {
+    const parts = source.map(decompose)
+
+    const weekdays = parts.filter(part => part.weekday !== null).flatMap(part => part.weekday)
+    const weekday = weekdays.length > 0 ? weekdays : undefined
+
+    const clock = partition(times(parts))
+        .sort((a, b) => a[2][0] - b[2][0] || a[1][0] - b[1][0] || a[0][0] - b[0][0])
+
     /*
-        NOTE
-        `let output = new Array(splits).fill(day_month_weekday)` would have been a joyful solution
-        but for some strange reasons this didn't work because subsequent `push(hour[i])` calls
-        had basically unpacked the entire hour array into BOTH of the new arrays created by the fill!
-
-        I tried to create genuine fill values by `let output = new Array(splits).fill([...day_month_weekday])`
-        but this didn't work either.
-
-        More conservative solutions suggested using common loops and it finally worked:
-            let output = []
-            for(let i = 0; i < splits; i++) output.push([...day_month_weekday])
-        
-        More exotic solutions suggested using a combination of new Array, spread syntax, apply, aplit, map and others...
-        I finally settled on `let output = [...new Array(splits)].map(() => [...day_month_weekday])`
-        as it's the most concise and readable solution I could come up with.
+        Every month holds the days on which it should run. A wildcard (*) on one timestamp and a list of days on another
+        can't be merged into one slot. If there's no weekday restriction, then the wildcard wins because it covers every day.
+        But if there is a weekday restriction, then the list wins, because '* 6 1' runs on mondays in june,
+        while '1 6 1' runs on mondays in june AND on the 1st of june (see the NOTE above).
     */
-    for(let i = 0; i < splits; i++) output[i].push(hour[i]   || "*")
-    for(let i = 0; i < splits; i++) output[i].push(minute[i] || "*")
-    for(let i = 0; i < splits; i++) output[i].push(second[i] || "*")
-
-    for(let count = 0; count < output.length; count++) {
-        for(let pos = output[count].length - 1; pos >= 0; pos--) {
-            if(output[count][pos] === "*") output[count][pos] = "0"
-            else break
+    const months = new Map()
+    for(const part of parts.filter(part => part.date !== null)) {
+        for(const month of part.date.month) {
+            const days = months.has(month) ? months.get(month) : part.date.day
+            if(days === null || part.date.day === null) {
+                months.set(month, weekday === undefined ? null : days || part.date.day)
+            } else {
+                months.set(month, [...days, ...part.date.day].filter((value, index, self) => self.indexOf(value) === index).sort((a, b) => a - b))
+            }
         }
     }
+    const dates = new Map()
+    for(const [month, days] of [...months.entries()].sort((a, b) => a[0] - b[0])) {
+        const key = String(days)
+        dates.set(key, {day: days, month: [...(dates.has(key) ? dates.get(key).month : []), month]})
+    }
+    const date = dates.size > 0 ? [...dates.values()] : [{}]
+
+    return clock.flatMap(([second, minute, hour]) => date.map(({day, month}) => {
+        return new Timestamp({second, minute, hour, day, month, weekday})
+    }))
+}
 
+
+
+/*
+    Tell from the slots of the given timestamps (and nothing else) when they are meant to run together
+    This is the plain reading of the NOTE of combine(): times of day are alternatives and windows narrow them down
+    (or become the times of day themselves), dates are alternatives and weekdays are added to them like in cron.
+    It returns one check for the time of day (where null stands for any second or minute) and one for the day of a wall clock.
+*/
+const requested = function(source) {
+    const timestamps = source.map(timestamp => Timestamp.from(timestamp))
+    const has = (values, value) => value === null || values === undefined || values === null || values.includes(value)
+    const fits = (timestamp, second, minute, hour) => has(timestamp.second, second) && has(timestamp.minute, minute) && has(timestamp.hour, hour)
+    const clocks = timestamps.filter(timestamp => CLOCK.every(field => timestamp[field] !== undefined))
+    const windows = timestamps.filter(timestamp => !clocks.includes(timestamp) && CLOCK.some(field => timestamp[field] !== undefined))
+    const finest = Math.min(...windows.map(window => CLOCK.findIndex(field => window[field] !== undefined))) // Infinity without windows
+    const dates = timestamps.filter(timestamp => timestamp.day !== undefined || timestamp.month !== undefined)
+    const weekdays = timestamps.filter(timestamp => type({array: timestamp.weekday})).flatMap(timestamp => timestamp.weekday)
+    return {
+        time: (second, minute, hour) => windows.every(window => fits(window, second, minute, hour))
+            && (clocks.length > 0
+                ? clocks.some(clock => fits(clock, second, minute, hour))
+                : [second, minute, hour].every((value, index) => value === null || index >= finest || value === 0)), // at the start of the window's finest unit, or at midnight
+        day: wall => {
+            const weekly = weekdays.includes(wall.getUTCDay())
+            if(dates.length < 1) return weekdays.length < 1 || weekly
+            return dates.some(date => has(date.month, wall.getUTCMonth() + 1) && (
+                weekdays.length < 1 ? has(date.day, wall.getUTCDate())
+                : type({array: date.day}) ? date.day.includes(wall.getUTCDate()) || weekly
+                : weekly
+            ))
+        }
+    }
+}
+
+
+
+/*
+    List the runs (as wall clock milliseconds) within a period of time, for a check of the time of day and one of the day
+*/
+const runs = function({time, day}, {from, until, limit}) {
+    const seconds = [] // of the day
+    for(let hour = 0; hour < 24; hour++) {
+        if(!time(null, null, hour)) continue
+        for(let minute = 0; minute < 60; minute++) {
+            if(!time(null, minute, hour)) continue
+            for(let second = 0; second < 60; second++) {
+                if(time(second, minute, hour)) seconds.push(((hour * 60) + minute) * 60 + second)
+            }
+        }
+    }
+    const output = []
+    const DAY = 24 * 60 * 60 * 1000
+    for(let midnight = Math.floor(from.getTime() / DAY) * DAY; midnight < until.getTime() && output.length < limit; midnight += DAY) {
+        if(seconds.length < 1 || !day(new Date(midnight))) continue
+        for(const second of seconds) {
+            const run = midnight + second * 1000
+            if(run > from.getTime() && run < until.getTime() && output.length < limit) output.push(run)
+        }
+    }
     return output
-        .map((param) => param
-            .reverse()
-            .join(" ")
-        )
+}
+
+
+
+/*
+    Check that the timestamps (e.g. from combine()) fire at exactly the same times as the timestamps they were made of
+    This is done by comparing all runs within a given period of time. The expected runs are worked out from the slots
+    of the original timestamps (see requested()) and the actual ones from the timer strings, just like the calendar reads them,
+    so that neither side goes through the merging of combine(). Timestamps that fire at the same time
+    (and would therefore run the same job twice) are considered different as well.
+    e.g.
+        verify([time(09, 30), time(07, 00)], ['0 0,30 7,9 * * *'])                  // false
+        verify([time(09, 30), time(07, 00)], combine(time(09, 30), time(07, 00)))   // true
+
+    Options:
+        from        start of the period (defaults to now)
+        until       end of the period (defaults to one year after the start)
+        limit       maximum number of runs to compare (defaults to 1000), which keeps the check fast for timers that fire very often
+
+    NOTE: Wall clock times are compared (no timezone) because that's what timer strings are about.
+*/
+const verify = function(source, timers, {from = new Date(), until, limit = 1000} = {}) {
+    until = until || new Date(Date.UTC(from.getUTCFullYear() + 1, from.getUTCMonth(), from.getUTCDate()))
+    const expected = runs(requested(source), {from, until, limit})
+    if(expected.length >= limit) until = new Date(expected[expected.length - 1] + 1000)
+    const has = (values, value) => value === null || values === null || values.includes(value)
+    const actual = timers.flatMap(timer => {
+        const fields = parse(String(Timestamp.from(timer)))
+        return runs({
+            time: (second, minute, hour) => has(fields.second, second) && has(fields.minute, minute) && has(fields.hour, hour),
+            day: wall => matches({...fields, second: null, minute: null, hour: null}, wall)
+        }, {from, until, limit})
+    })
+    return actual.length === expected.length
+        && actual
+            .sort((a, b) => a - b)
+            .every((time, index) => time === expected[index])
 }
 
 
 
 /*
     Run timer helper multiple times with different function parameters
-    and merge the resulting schedule timers
+    and merge the resulting timestamps
     e.g.
         repeat(
             weekly,
             ["monday", "wednesday", "friday"]
         )
-        // weekly("mon")        results in '0 0 0 * * 1'
-        // weekly("wed")        results in '0 0 0 * * 3'
-        // weekly("fri")        results in '0 0 0 * * 5'
-        // merged return value  results in '0 0 0 * * 1,3,5'
+        // weekly("mon")        results in {weekday: [1]}
+        // weekly("wed")        results in {weekday: [3]}
+        // weekly("fri")        results in {weekday: [5]}
+        // merged return value  results in {weekday: [1, 3, 5]}
 */
 const repeat = function(fn, ...param) {
     const result = []
     for(const args of param) {
-        if(Array.isArray(args)) result.push(fn(...args))
-        else result.push(fn(args))
+        if(Array.isArray(args)) result.push(fn.apply(this, args))
+        else result.push(fn.call(this, args))
     }
     return join(...result)
 }
 
 
 
+/*
+    The helpers below are forgiving by default: out-of-range numbers are clamped and unknown names are ignored.
+    That's dangerous, because a typo like weekday("sundy") silently turns a weekly job into a daily one!
+    In strict mode (see common_settings.strict) the helpers throw a descriptive error instead.
+    The helpers are bound to a scheduler (see createScheduler()), whose settings decide. Unbound helpers are always strict.
+*/
+const strict = function(scheduler) {
+    return !(scheduler && scheduler.common_settings && scheduler.common_settings.strict === false)
+}
+
+
+
+const call = function(name, param) {
+    return `${name}(${param.map(value => JSON.stringify(value)).join(", ")})`
+}
+
+
+
+/*
+    Make sure that a value is a whole number within the bounds (strings of digits are fine too) and return it
+*/
+const integer = function(value, min, max, description, signature) {
+    const number = type({string: value}) && /^\d+$/.test(value.trim()) ? parseInt(value) : value
+    assert(
+        type({integer: number}) && number >= min && number <= max,
+        `Scheduler couldn't understand ${description} '${value}' in ${signature}! Use a whole number from ${min} to ${max}.`
+    )
+    return number
+}
+
+
+
+const DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31] // maximum number of days per month
+
+
+
 /*
     Convenient shortcut to define a cronjob timer that will run one or multiple times daily
     Btw, hour and minute parameters are both optional actually because they both default to 0
@@ -258,33 +499,25 @@ const repeat = function(fn, ...param) {
         daily(16, [5, 15])          // 1x at 16:05PM (always first value choosen for minutes)
         daily([5, 0], [0, 15, 30])  // 2x at 05:00AM
         daily()                     // 1x at 00:00AM (hours and minutes default to 0)
+    (Arrays are only accepted if strict mode is turned off, otherwise they throw, just like daily(25) does.)
     
     NOTE
         Every helper (daily, weekly, monthly, ...) can be used on their own without any side effects
-        but they can also be joined together via compile() / join() to form one single schedule string!
+        but they can also be combined with each other to form more sophisticated schedules!
 
-        Normally all works as expected and without any side-effects. However, if compile/join receives
-        multiple daily() statements, then it struggles to merge. Especially when those timestamps contain
-        zeros for hours, minutes and seconds, e.g. timestamps like 00:00AM or 05:00AM!
-    
-    POTENTIAL ISSUE
-        While looking at all of the timer strings that the merger has to process, it simply doesn't know
-        if a leading zero in the timer string is an intended user setting or if it's just a leftover from another call,
-        like weekly(). Calls to weekly() to indeed set some leading zeros (second, minute, hour) by default
-        because if that schedule string would be passed onto a cronjob without them, then the weekly schedule created by weekly()
-        would in reality be called for every hour, minute and second, as the default param is a '*' wildcard!
-        To prevent that, we set hour, minute and second to zero, which again, is an issue when merging multiple timer strings.
-        
-        A simple solution to this problem is to always avoid setting zero for hours or minutes in daily() function call!
-        Instead of `daily(0, 0)` set it to `daily(23, 59)`.
-    
-    SOLUTION
-        Another, even better, solution would be to ALWAYS set seconds between [1-59] and never to zero!
-        This way the timer string will never have leading zeros that could be 'cut' in the merging process and you'll
-        always have perfect merging without skipping timers or having side-effects!
+        Zeros are real values, just like any other number. `daily(0, 0)` runs at midnight
+        and `daily(5)` runs at 05:00:00AM, no matter which other timestamps it's combined with.
+        (Older versions of this module had to avoid zeros because the timestamps were plain timer strings,
+        in which a zero could also be a placeholder for 'no time of day', see Timestamp.from() in timestamp.js)
 */
-const daily = function(hour = 23, minute = 59, second = 59) {
-    return `${clamp(second, 1, 59)} ${clamp(minute, 0, 59)} ${clamp(hour, 0, 23)} * * *`
+const daily = function(hour = 0, minute = 0, second = 0) {
+    if(strict(this)) {
+        const signature = call("time", [...arguments])
+        hour = integer(hour, 0, 23, "hour", signature)
+        minute = integer(minute, 0, 59, "minute", signature)
+        second = integer(second, 0, 59, "second", signature)
+    }
+    return new Timestamp({second: [clamp(second, 0, 59)], minute: [clamp(minute, 0, 59)], hour: [clamp(hour, 0, 23)]})
 }
 
 
@@ -294,30 +527,31 @@ const daily = function(hour = 23, minute = 59, second = 59) {
     The weekday can be a number [0-7], an abbreviation or the full day name (see cheatsheet)
     You can pass a single weekday or an array of multiple and combine the notation [1, "tue", "wednesday"]
     e.g.
-        weekly()                    // 1x on sunday    at 00:00AM
+        weekly()                    // every day       at midnight (unknown weekdays are ignored)
         weekly("sunday")            // 1x on sunday    at midnight
         weekly("wed", 1, "friday")  // 1x on monday    at midnight,
                                     // 2x on wednesday at midnight,
                                     // 2x on friday    at midnight
+        weekly("mon-fri")           // 1x on every workday at midnight (ranges can also wrap around, e.g. "sat-mon")
     
-    Use `join(weekly("saturday"), daily(09, 30))` to add an exact time to your weekly schedule timer
+    Use `combine(weekly("saturday"), daily(09, 30))` to add an exact time to your weekly schedule timer
     For example:
-        join(weekly("saturday", "wed"), daily(6, 30))   // 1x on wednesday at 06:30AM,
-                                                        // 1x on saturday  at 06:30AM
+        combine(weekly("saturday", "wed"), daily(6, 30))    // 1x on wednesday at 06:30AM,
+                                                            // 1x on saturday  at 06:30AM
 */
 const weekly = function(...weekday) {
-    if(weekday.length > 1) return repeat(weekly, ...weekday)
-    const index = parseInt([
-        /^(0|sun(day)?)$/i,
-        /^(1|mon(day)?)$/i,
-        /^(2|tue(sday)?)$/i,
-        /^(3|wed(nesday)?)$/i,
-        /^(4|thu(rsday)?)$/i,
-        /^(5|fri(day)?)$/i,
-        /^(6|sat(urday)?)$/i,
-        /^(7|sun(day)?)$/i
-    ].findIndex(pattern => pattern.test(weekday[0]))) // convert day from number or string into an index [0-7]
-    return `0 0 0 * * ${index >= 0 ? index : "*"}` // ignore unknown weekdays
+    if(weekday.length > 1) return repeat.call(this, weekly, ...weekday)
+    const [first, last] = String(weekday[0]).split("-").map(weekday_number)
+    if(strict(this) && weekday[0] !== undefined) {
+        const known = String(weekday[0]).includes("-") ? first >= 0 && last >= 0 : weekday_number(weekday[0]) >= 0
+        assert(
+            known && !type({array: weekday[0]}),
+            `Scheduler couldn't understand weekday '${weekday[0]}' in ${call("weekday", weekday)}! Use a number from 0 to 7, a name like 'tue' or 'tuesday' or a range like 'mon-fri'.`
+        )
+    }
+    if(first >= 0 && last >= 0) return new Timestamp({weekday: span(first, last, 0, 6)}) // a range like 'mon-fri'
+    const index = weekday_number(weekday[0])
+    return new Timestamp({weekday: index >= 0 ? [index] : undefined}) // ignore unknown weekdays
 }
 
 
@@ -327,34 +561,465 @@ const weekly = function(...weekday) {
     Example:
         monthly(1, "jan", "march")  // 1x on every 1st january
                                     // 1x on every 1st march
+        monthly(15, "jan-mar")      // 1x on every 15th of january, february and march
     
     You can add an exact time to the schedule the same way as already mentioned above
-    `join(monthly(null, "january"), daily(03, 33))` will run every the cronjob every january at 03:33AM
+    `combine(monthly(null, "january"), daily(03, 33))` will run every the cronjob every january at 03:33AM
 */
 const monthly = function(day = 1, ...month) {
-    if(month.length > 1) return repeat(monthly, ...month.map(name => [day, name]))
-    const month_index = parseInt([
-        /^(1|jan(nuary)?)$/i,
-        /^(2|feb(ruary)?)$/i,
-        /^(3|mar(ch)?)$/i,
-        /^(4|apr(il)?)$/i,
-        /^(5|may)$/i,
-        /^(6|june?)$/i,
-        /^(7|july?)$/i,
-        /^(8|aug(ust)?)$/i,
-        /^(9|sep(tember)?)$/i,
-        /^(10|oct(ober)?)$/i,
-        /^(11|nov(ember)?)$/i,
-        /^(12|dec(ember)?)$/i
-    ].findIndex(pattern => pattern.test(month[0])) + 1) // convert month from number or string into an index [1-12]
-    return `0 0 0 ${clamp(day, 1, 31)} ${month_index > 0 ? month_index : "*"} *` // ignore unknown months
+    if(month.length > 1) return repeat.call(this, monthly, ...month.map(name => [day, name]))
+    const [first, last] = String(month[0]).split("-").map(month_number)
+    if(strict(this)) {
+        const signature = call("month", [day, ...month])
+        day = day === null ? 1 : integer(day, 1, 31, "day", signature)
+        if(month[0] !== undefined) {
+            const known = String(month[0]).includes("-") ? first > 0 && last > 0 : month_number(month[0]) > 0
+            assert(
+                known && !type({array: month[0]}),
+                `Scheduler couldn't understand month '${month[0]}' in ${signature}! Use a number from 1 to 12, a name like 'jan' or 'january' or a range like 'jan-mar'.`
+            )
+            const months = String(month[0]).includes("-") ? span(first, last, 1, 12) : [month_number(month[0])]
+            const impossible = months
+                .filter(index => day > DAYS[index - 1])
+                .map(index => new Date(Date.UTC(2000, index - 1)).toLocaleString("en-US", {month: "long", timeZone: "UTC"}))
+            assert(impossible.length < 1, `Scheduler couldn't use ${signature} because there's no day ${day} in ${impossible.join(" and ")}!`)
+        }
+    }
+    if(first > 0 && last > 0) return new Timestamp({day: [clamp(day, 1, 31)], month: span(first, last, 1, 12)}) // a range like 'jan-mar'
+    const month_index = month_number(month[0])
+    return new Timestamp({day: [clamp(day, 1, 31)], month: month_index > 0 ? [month_index] : undefined}) // ignore unknown months
+}
+
+
+
+/*
+    Convenient shortcut to define a cronjob timer that runs at regular intervals
+    The unit can be seconds, minutes, hours, days or months (singular or plural)
+    e.g.
+        every(15, "minutes")        // at 00:00, 00:15, 00:30, 00:45, 01:00, ...
+        every(2, "hours")           // at 00:00, 02:00, 04:00, ..., 22:00
+        every(10, "days")           // on every 1st, 11th, 21st and 31st of the month (at midnight)
+        every(3, "months")          // on every 1st of january, april, july and october (at midnight)
+    
+    NOTE
+        Intervals always start over at the beginning of the next hour, day, month or year,
+        just like the step values of a cronjob do. That's why every(7, "minutes") runs at minute 56
+        and then again at minute 0 of the next hour, which is only 4 minutes later.
+    
+    Combine it with between() to run it during certain hours only
+    For example:
+        combine(every(15, "minutes"), between(9, 17), weekly("mon-fri"))   // every 15 minutes during business hours on workdays
+*/
+const every = function(interval, unit = "minutes") {
+    if(strict(this)) {
+        const signature = call("every", [...arguments])
+        const size = [
+            [/^sec(ond)?s?$/i, 60],
+            [/^min(ute)?s?$/i, 60],
+            [/^h(ou)?rs?$|^hours?$/i, 24],
+            [/^days?$/i, 31],
+            [/^months?$/i, 12]
+        ].find(([pattern]) => pattern.test(unit))
+        assert(size !== undefined, `Scheduler couldn't understand unit '${unit}' in ${signature}! Use seconds, minutes, hours, days or months.`)
+        interval = integer(interval, 1, size[1], "interval", signature)
+    }
+    const steps = function(min, max) {
+        const step = clamp(interval, 1, max - min + 1)
+        return range(min, max).filter(value => (value - min) % step === 0)
+    }
+    if(/^sec(ond)?s?$/i.test(unit)) return new Timestamp({second: steps(0, 59), minute: null, hour: null})
+    if(/^min(ute)?s?$/i.test(unit)) return new Timestamp({second: [0], minute: steps(0, 59), hour: null})
+    if(/^h(ou)?rs?$|^hours?$/i.test(unit)) return new Timestamp({second: [0], minute: [0], hour: steps(0, 23)})
+    if(/^days?$/i.test(unit)) return new Timestamp({day: steps(1, 31)})
+    if(/^months?$/i.test(unit)) return new Timestamp({day: [1], month: steps(1, 12)})
+    return new Timestamp() // ignore unknown units
+}
+
+
+
+/*
+    Convenient shortcut to define a range of hours (both ends are inclusive), which can also wrap around
+    e.g.
+        between(9, 17)              // from 09:00AM until 05:59PM
+        between(22, 2)              // from 10:00PM until 02:59AM
+    
+    A range of hours is a window, which narrows down the times of other timestamps to the given hours.
+    For example:
+        combine(every(30, "minutes"), between(9, 17))   // 09:00AM, 09:30AM, ..., 05:30PM
+        combine(time(8), time(12), between(9, 17))      // 12:00PM only
+        combine(between(9, 17))                         // 09:00AM, 10:00AM, ..., 05:00PM (hourly, if there's nothing to narrow down)
+
+    NOTE
+        Ranges of weekdays or months are rejected, because they wouldn't narrow anything down. They would be days to run on,
+        which add up with the other days of the job (see combine()), e.g. [time(9), monthly(1), between("nov", "feb")]
+        would run every day from november until february. Use weekly("mon-fri") or monthly(1, "nov-feb") instead.
+        Unless in strict mode, they are still accepted as such days, the same way as older versions did.
+*/
+const between = function(start, end) {
+    if(strict(this)) {
+        const signature = call("between", [...arguments])
+        const numeric = [start, end].every(value => /^\d+$/.test(String(value).trim()))
+        if(numeric) {
+            integer(start, 0, 23, "hour", signature)
+            integer(end, 0, 23, "hour", signature)
+        } else {
+            const weekdays = weekday_number(start) >= 0 && weekday_number(end) >= 0
+            const months = month_number(start) > 0 && month_number(end) > 0
+            assert(!weekdays, `Scheduler couldn't narrow down the weekdays with ${signature}, because it only takes hours! Use weekday('${start}-${end}') instead.`)
+            assert(!months, `Scheduler couldn't narrow down the months with ${signature}, because it only takes hours! Use month(day, '${start}-${end}') instead, e.g. month(1, '${start}-${end}').`)
+            assert(false, `Scheduler couldn't understand the range in ${signature}! Use two hours from 0 to 23.`)
+        }
+    }
+    if(/^\d+$/.test(String(start).trim()) && /^\d+$/.test(String(end).trim())) {
+        return new Timestamp({hour: span(clamp(start, 0, 23), clamp(end, 0, 23), 0, 23)})
+    }
+    if(weekday_number(start) >= 0 && weekday_number(end) >= 0) {
+        return new Timestamp({weekday: span(weekday_number(start), weekday_number(end), 0, 6)})
+    }
+    if(month_number(start) > 0 && month_number(end) > 0) {
+        return new Timestamp({month: span(month_number(start), month_number(end), 1, 12)})
+    }
+    return new Timestamp() // ignore unknown ranges
+}
+
+
+
+/*
+    Collect the months of last_day() and nth(), which work just like the ones of monthly(), e.g. ["jan", "jul-sep"]
+    Returns a list of months, or undefined if there are none. Unknown months are ignored, unless in strict mode.
+*/
+const month_list = function(month, signature) {
+    const output = []
+    for(const name of month) {
+        const ranged = String(name).includes("-")
+        const [first, last] = String(name).split("-").map(month_number)
+        if(strict(this)) {
+            assert(
+                (ranged ? first > 0 && last > 0 : first > 0) && !type({array: name}),
+                `Scheduler couldn't understand month '${name}' in ${signature}! Use a number from 1 to 12, a name like 'jan' or 'january' or a range like 'jan-mar'.`
+            )
+        }
+        if(ranged && first > 0 && last > 0) output.push(...span(first, last, 1, 12))
+        else if(!ranged && first > 0) output.push(first)
+    }
+    return output.length > 0 ? output.filter((value, index, self) => self.indexOf(value) === index).sort((a, b) => a - b) : undefined
+}
+
+
+
+/*
+    Convenient shortcut to define a cronjob timer that runs on the last day of the month, which a cronjob timer can't express
+    You can pass the months in which it should run, the same way as for monthly(), otherwise it runs every month
+    e.g.
+        last_day()                              // on the 31st of january, the 28th (or 29th) of february, the 31st of march, ...
+        last_day("mar", "jun", "sep", "dec")    // on the last day of every quarter
+        combine(last_day(), daily(18, 00))      // on the last day of every month at 06:00PM
+
+    NOTE
+        The timer fires on every day from the 28th to the 31st, but the job only runs on the last one of them.
+        This is checked whenever the timer fires, in the timezone of the job (see guard() below).
+*/
+const last_day = function(...month) {
+    const months = month_list.call(this, month, call("lastDay", month))
+    return new Timestamp({day: range(28, 31), month: months, rule: {nth: -1, weekday: null, month: months || null}})
+}
+
+
+
+/*
+    Convenient shortcut to define a cronjob timer that runs on the nth weekday of the month, which a cronjob timer can't express either
+    The number goes from 1 to 5, or it's -1 for the last one. The weekday is a single one, like for weekly(),
+    and you can pass the months in which it should run, the same way as for monthly(), otherwise it runs every month
+    e.g.
+        nth(1, "monday")                    // on the first monday of every month
+        nth(2, "tue", "jan-mar")            // on the second tuesday of january, february and march
+        nth(-1, "friday")                   // on the last friday of every month
+        combine(nth(3, "wed"), daily(10))   // on the third wednesday of every month at 10:00AM
+
+    NOTE
+        Just like with last_day(), the timer fires on all days that could be the one (e.g. from the 8th to the 14th)
+        and the job only runs on the right weekday among them (see guard() below).
+*/
+const nth = function(number, weekday, ...month) {
+    const signature = call("nth", [...arguments])
+    if(strict(this)) {
+        assert(
+            type({integer: number}) && ((number >= 1 && number <= 5) || number === -1),
+            `Scheduler couldn't understand number '${number}' in ${signature}! Use a whole number from 1 to 5, or -1 for the last one.`
+        )
+        assert(
+            weekday_number(weekday) >= 0 && !type({array: weekday}),
+            `Scheduler couldn't understand weekday '${weekday}' in ${signature}! Use a number from 0 to 7 or a name like 'tue' or 'tuesday'.`
+        )
+    }
+    const months = month_list.call(this, month, signature)
+    const index = weekday_number(weekday)
+    if(index < 0) return new Timestamp() // ignore unknown weekdays
+    const position = number === -1 ? -1 : clamp(number, 1, 5)
+    const days = position < 0 ? range(22, 31) : range(position * 7 - 6, Math.min(position * 7, 31))
+    return new Timestamp({day: days, month: months, rule: {nth: position, weekday: index, month: months || null}})
+}
+
+
+
+const ruled = function(timestamp) {
+    return timestamp instanceof Timestamp && timestamp.rule !== undefined
+}
+
+
+
+/*
+    Turn the exclusions of a job (see @option.exclude of schedule()) into a function that tells if the day of a run is excluded
+    Exclusions are either a list of days or a function that gets the date of a run and returns true to exclude it.
+    If the function throws, then the day is NOT excluded, so that a failing holiday API doesn't silently stop the job.
+    The error is passed on to the (optional) report callback, e.g. to log it whenever a run is due (see create()).
+    Days are strings like '2024-12-25' (only once) or '12-25' (every year), or Dates, which stand for the day
+    that they fall on in the timezone of the job. Returns undefined if nothing is excluded.
+*/
+const exclusion = function(exclude, timezone) {
+    if(type({function: exclude})) {
+        return (date, wall, report = () => {}) => {
+            try {
+                return !!exclude(date)
+            } catch(error) {
+                report(error)
+                return false
+            }
+        }
+    }
+    if(!type({array: exclude}) || exclude.length < 1) return undefined
+    const days = exclude.map(day => day instanceof Date ? wallclock(day, timezone).toISOString().slice(0, 10) : String(day).trim())
+    return (date, wall) => {
+        const day = wall.toISOString().slice(0, -14) // e.g. '2024-12-25', or '+010000-12-25' far ahead (see upcoming() in calendar.js)
+        return days.includes(day) || days.includes(day.slice(-5))
+    }
+}
+
+
+
+/*
+    Build a filter for the runs of a job, that tells if a run should really happen (see upcoming() in calendar.js)
+    This covers what a cronjob timer can't express: the rules of last_day() and nth(), and the exclusions of the job.
+    A run is left out if its day is excluded, or if the job has rules and the day matches neither one of the rules
+    nor one of the other (plain) days of the job. Returns undefined if there's nothing to filter.
+    The filter takes an optional third argument, a callback for the errors of an exclude function (see exclusion() above).
+    e.g.
+        guard([daily(9), last_day(), monthly(15)], ["12-31"], "Europe/Berlin")
+        // lets the runs at 09:00AM on the 15th and on the last day of every month through, except on new year's eve
+*/
+const guard = function(timestamps, exclude, timezone) {
+    const rules = timestamps.filter(ruled).map(timestamp => timestamp.rule)
+    const plain = timestamps.filter(timestamp => !ruled(timestamp)).map(timestamp => Timestamp.from(timestamp))
+    const dated = plain.some(timestamp => timestamp.day !== undefined || timestamp.month !== undefined || timestamp.weekday !== undefined)
+    const timers = dated ? combine(...plain).map(timer => parse(String(timer))) : []
+    const excluded = exclusion(exclude, timezone)
+    if(rules.length < 1 && excluded === undefined) return undefined
+    return (date, wall, report) => {
+        if(excluded !== undefined && excluded(date, wall, report)) return false
+        return rules.length < 1 || rules.some(rule => occurs(rule, wall)) || timers.some(fields => matches(fields, wall))
+    }
+}
+
+
+
+/*
+    Preview the next points in time at which a timestamp would fire
+    It accepts the same timestamp input as schedule() does, so it's possible to see (and test)
+    the outcome of the merging process of the timer strings before setting up any cronjob
+    e.g.
+        next([time(9, 30), weekday("monday")], {count: 2})
+        // [Mon 09:30:00, Mon 09:30:00 a week later] as Date objects
+
+    Options:
+        count       how many dates to return (defaults to 1)
+        from        the point in time to start from, exclusive (defaults to now)
+        timezone    the timezone in which the timers are evaluated (defaults to common_settings.timezone)
+        exclude     the days to leave out, just like @option.exclude of schedule()
+    
+    NOTE
+        Just like with the classic cron implementations, if a timer restricts both, the day of month
+        and the day of week, then it fires when EITHER of them matches, e.g. join(month(1), weekday("mon"))
+        runs on every 1st of the month AND on every monday.
+*/
+const preview = function(timestamp, option = {}) {
+    const source = type({array: timestamp}) ? timestamp : [timestamp]
+    const timezone = type({string: option.timezone}) ? option.timezone : this.common_settings.timezone
+    return upcoming(combine(...source).map(String), {
+        count: option.count,
+        from: option.from,
+        timezone,
+        filter: guard(source, option.exclude, timezone)
+    })
+}
+
+
+
+/*
+    Describe a timestamp (or timer string, or a list of them) in plain words
+    Timestamps are merged the same way as by schedule(), so the description matches what actually runs.
+    e.g.
+        explain([time(01, 00), weekday("sunday")])              // 'at 01:00 on Sundays'
+        explain("0 30 7 * * 1-5", {locale: "de"})              // 'um 07:30 montags bis freitags'
+        explain([time(18, 00), lastDay()])                      // 'at 18:00 on the last day of the month'
+
+    Options:
+        locale      "en" or "de" (defaults to common_settings.locale)
+*/
+const explain = function(timestamp, option = {}) {
+    const source = type({array: timestamp}) ? timestamp : [timestamp]
+    const rules = source.filter(ruled).map(timestamp => timestamp.rule) // described in their own words, instead of their candidate days
+    const plain = source.filter(timestamp => !ruled(timestamp))
+    const timers = rules.length < 1 && plain.every(item => type({string: item})) ? plain : combine(...plain).map(String) // timer strings are taken as they are
+    return describe(timers, {locale: type({string: option.locale}) ? option.locale : this.common_settings.locale, rules})
+}
+
+
+
+const MISSED = 100 // maximum number of missed runs to catch up on
+
+
+
+/*
+    Find the runs of the timers that were missed in between two points in time (both exclusive)
+    Returns the total number of missed runs and the latest ones of them (up to the limit), oldest first
+    e.g.
+        overdue(["0 0 1 * * 0"], {from: three_weeks_ago, until: now, limit: 1})
+        // {total: 3, dates: [last sunday 01:00]}
+*/
+const overdue = function(timers, {from, until, timezone, filter, limit = MISSED}) {
+    let total = 0
+    let dates = []
+    for(let cursor = from;;) {
+        const chunk = upcoming(timers, {count: MISSED, from: cursor, until, timezone, filter})
+        if(chunk.length < 1) break
+        total += chunk.length
+        dates = dates.concat(chunk).slice(-limit)
+        cursor = chunk[chunk.length - 1]
+    }
+    return {total, dates}
+}
+
+
+
+/*
+    Write a log entry with structured fields instead of prose, so that it fits into JSON logs
+    The logger can be any object with debug(), info(), warn() and error() methods, e.g. console, pino or winston
+    e.g.
+        log(console, "info", "activate", "Scheduler activated task", {job: "backup", timer: "0 0 3 * * *"})
+        // {message: "Scheduler activated task", event: "activate", job: "backup", timer: "0 0 3 * * *", pid: 1234, instance: "main"}
+*/
+const log = function(logger, level, event, message, fields = {}) {
+    try {
+        logger[level]({message, event, ...fields, pid: PID, instance: APN})
+    } catch(error) {
+        // a broken logger must not break the jobs, and there's nowhere else to report it
+    }
+}
+
+
+
+const LEVELS = ["debug", "info", "warn", "error"]
+
+const loggable = function(logger) {
+    return logger !== null && typeof logger === "object" && LEVELS.every(level => type({function: logger[level]}))
+}
+
+
+
+/*
+    Tell if a scheduler is in dry run mode, either by its own common_settings.dryRun or by the environment variable
+    DONCRON_DRY_RUN=1, which reaches every scheduler of the process, even those of other copies of this module.
+    The command line interface relies on it, because it can't reach the schedulers that a module creates on its own (see cli.js).
+*/
+const DRYRUN = "DONCRON_DRY_RUN"
+
+const dry = function(scheduler) {
+    return scheduler.common_settings.dryRun === true || process.env[DRYRUN] === "1"
+}
+
+
+
+/*
+    Emit an event of a job to the listeners (see on()), without letting a failing listener break the job
+    Otherwise, an error thrown by a listener would end up in the runner, which would take it for a failure of the job.
+*/
+const announce = function(event, state, logger) {
+    if(event === "error" && this.events.listenerCount("error") < 1) return // unhandled 'error' events would throw
+    try {
+        this.events.emit(event, state)
+    } catch(error) {
+        log(logger, "error", "listener", `Scheduler caught an error in a listener of the '${event}' event`, {name: state.name, error})
+    }
+}
+
+
+
+/*
+    Update the state of a job with an event from its runner (see runner.js)
+*/
+const track = function(state, event, detail, now = new Date()) {
+    if(event === "start") {
+        state.running++
+        state.runs++
+        state.started = now
+    } else if(event === "success" || event === "error") {
+        state.running--
+        state.finished = now
+        state.duration = now - state.started
+        if(event === "success") {
+            state.result = detail
+            state.failures = 0
+        } else {
+            state.error = detail
+            state.failures++
+        }
+    }
+}
+
+
+
+/*
+    Find the queue entries of the jobs with the given name (or all of them, if there's no name)
+    The name has to match exactly, but it may contain the wildcards * (any characters) and ? (a single character),
+    e.g. 'backup' only matches 'backup', while 'backup*' also matches 'backup-logs'.
+    All parts (timers) of a job are always selected together.
+*/
+const select = function(name, exact = false) {
+    if(!type({string: name}) || name.length < 1) return this.queue
+    if(exact) return this.queue.filter(job => job.name === name)
+    const pattern = name
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&") // anything but the wildcards is taken literally
+        .replace(/\*/g, ".*")
+        .replace(/\?/g, ".")
+    const glob = new RegExp(`^${pattern}$`)
+    return this.queue.filter(job => job.name === name || glob.test(job.name))
+}
+
+
+
+/*
+    Get the state of one job by its name, or the states of all jobs (if there's no name)
+    A job that has been split into multiple timers still has only one state.
+    e.g.
+        status("Backup all of my databases")
+        // {name, running, paused, runs, failures, started, fired, finished, duration, result, error}
+*/
+const status = function(name) {
+    const states = this.queue
+        .map(job => job.state)
+        .filter((state, index, self) => self.indexOf(state) === index)
+        .map(state => ({...state}))
+    if(type({string: name})) return states.find(state => state.name === name)
+    return states
 }
 
 
 
 const create = function(option) {
-    assert(type({string: option.name}), `Scheduler couldn't setup task without a description (name)!`)
-    assert(type({function: option.handler}), `Scheduler couldn't setup task '${option.name}' without a handler function!`)
+    const problems = [] // everything that's wrong with the task is reported at once, see the end of the checks below
+    if(!type({string: option.name})) problems.push("it has no description (name)")
+    if(!type({function: option.handler})) problems.push("it has no handler function")
+    if(this.queue.some(job => job.name === option.name)) problems.push("there's already a task with the same name (use reschedule() to change it)")
 
     /*
         IMPORTANT NOTE
@@ -362,25 +1027,192 @@ const create = function(option) {
         @option.allowed can be used to set the appropriate flag and run (or or not run) the job,
         for example by checking the server node like so:
         const masternode = new RegExp("(master|primary|manager|lead|main)", "i").test(process.env.name)
+
+        But this breaks easily with autoscaling, blue/green deployments or restarts. A better way is
+        @option.exclusive, which lets all instances compete for a lock on every run (see lock.js).
+        @option.allowed still works as a static override on top of it.
     */
     option.allowed = type({boolean: option.allowed}) ? option.allowed : true
     option.perpetual = type({boolean: option.perpetual}) ? option.perpetual : this.common_settings.perpetual
     option.timezone = type({string: option.timezone}) ? option.timezone : this.common_settings.timezone
     option.autorun = !!option.autorun
+    option.concurrency = type({string: option.concurrency}) ? option.concurrency : this.common_settings.concurrency
+    option.timeout = type({number: option.timeout}) ? option.timeout : this.common_settings.timeout
+    option.retry = type({object: option.retry}) ? option.retry : this.common_settings.retry
+    option.exclusive = !!option.exclusive
+    option.lock = option.lock !== undefined ? option.lock : this.common_settings.lock
+    option.catchUp = type({string: option.catchUp}) ? option.catchUp : this.common_settings.catchUp
+    option.store = option.store !== undefined ? option.store : this.common_settings.store
+    option.logger = option.logger !== undefined ? option.logger : this.common_settings.logger
+    option.clock = option.clock !== undefined ? option.clock : this.common_settings.clock
+    option.locale = type({string: option.locale}) ? option.locale : this.common_settings.locale
+    option.exclude = option.exclude !== undefined ? option.exclude : []
+    if(!supported(option.timezone)) problems.push(`its timezone '${option.timezone}' is unknown`)
+    if(!CONCURRENCY.includes(option.concurrency)) problems.push(`its concurrency '${option.concurrency}' is unknown (use one of '${CONCURRENCY.join("', '")}')`)
+    if(option.timeout < 0) problems.push(`its timeout '${option.timeout}' is negative`)
+    if(option.retry.attempts !== undefined && !(type({integer: option.retry.attempts}) && option.retry.attempts >= 1)) problems.push(`its retry attempts '${option.retry.attempts}' aren't a whole number of at least 1`)
+    if(option.exclusive && !(type({object: option.lock}) && type({function: option.lock.acquire}))) problems.push("it's exclusive but has no lock backend (set common_settings.lock to one that all instances share, e.g. lock.file())")
+    if(!store.CATCHUP.includes(option.catchUp)) problems.push(`its catchUp '${option.catchUp}' is unknown (use one of '${store.CATCHUP.join("', '")}')`)
+    if(option.catchUp !== "none" && !(type({object: option.store}) && type({function: option.store.get}) && type({function: option.store.set}))) problems.push("it catches up on missed runs but has no state store")
+    if(!(type({object: option.clock}) && ["now", "setTimeout", "clearTimeout"].every(method => type({function: option.clock[method]})))) problems.push("its clock lacks one of the methods now(), setTimeout(), clearTimeout()")
+    if(!loggable(option.logger)) problems.push(`its logger lacks one of the methods ${LEVELS.join("(), ")}()`)
+    if(!LOCALES.includes(option.locale.toLowerCase().split(/[-_]/)[0])) problems.push(`its locale '${option.locale}' is unknown (use one of '${LOCALES.join("', '")}')`)
+    const excluded = type({array: option.exclude}) ? option.exclude.filter(day => !excludable(day)) : type({function: option.exclude}) ? [] : [option.exclude]
+    if(excluded.length > 0) problems.push(`its exclude '${excluded.join("', '")}' ${excluded.length > 1 ? "aren't days" : "isn't a day"} like '2024-12-25' or '12-25' (or a function)`)
     option.timestamp = type({array: option.timestamp}) ? option.timestamp : [option.timestamp] // convert to array
 
-    const part = split(compile(...option.timestamp)) // split timer string into separate timer automatically to avoid collisions and unexpected behaviour
+    let part = []
+    let filter // the rules and exclusions of the job, which its timers can't express (see guard())
+    for(const [index, timestamp] of option.timestamp.entries()) {
+        try {
+            Timestamp.from(timestamp)
+        } catch(error) {
+            problems.push(`its timestamp no.${index + 1} is invalid: ${error.message.replace(/!$/, "")}`)
+        }
+    }
+    if(problems.every(problem => !problem.startsWith("its timestamp"))) {
+        part = combine(...option.timestamp).map(String) // split timestamps into separate timers automatically to avoid collisions and unexpected behaviour
+        filter = supported(option.timezone) && excluded.length < 1 ? guard(option.timestamp, option.exclude, option.timezone) : undefined
+        const invalid = part.filter(timer => !validate(timer))
+        if(part.length < 1) problems.push("its timestamps would never fire")
+        else if(invalid.length > 0) problems.push(`of invalid inverval timer '${invalid.join("', '")}'`)
+        else if(!verify(option.timestamp, part)) problems.push(`merging its timestamps into '${part.join("', '")}' would change its schedule`)
+        else if(strict(this) && supported(option.timezone) && upcoming(part, {timezone: option.timezone, filter}).length < 1) problems.push(`its timers '${part.join("', '")}' would never fire (e.g. on an impossible date or only on excluded days)`)
+    }
+    const task = type({string: option.name}) ? `task '${option.name}'` : "task"
+    assert(
+        problems.length < 1,
+        problems.length > 1
+            ? `Scheduler couldn't setup ${task} because of ${problems.length} problems:\n${problems.map(problem => `    - ${problem}`).join("\n")}`
+            : `Scheduler couldn't setup ${task} because ${problems[0]}!`
+    )
+
+    // all timers of the job share the same runner and state, so that they can't overlap with each other
+    const state = {
+        name: option.name,
+        running: 0,     // number of runs in progress
+        paused: false,  // whether the runs are skipped (see pause())
+        runs: 0,        // number of runs so far
+        failures: 0,    // number of consecutive failed runs
+        started: null,  // date of the last start
+        fired: null,    // scheduled time of the last successful run
+        finished: null, // date of the last finish
+        duration: null, // duration of the last (finished) run in milliseconds
+        result: undefined, // result of the last successful run
+        error: null     // error of the last failed run
+    }
+    const run = runner(option.name, option.handler, option, (event, detail, context) => {
+        track(state, event, detail, option.clock.now())
+        if(event === "success" && context.date instanceof Date && (state.fired === null || context.date > state.fired)) {
+            state.fired = context.date
+            if(option.catchUp !== "none" && !dry(this)) { // a dry run must not leave any traces, not even from run()
+                Promise.resolve()
+                    .then(() => option.store.set(option.name, context.date))
+                    .catch(error => log(option.logger, "warn", "store", "Scheduler couldn't save the state of the task", {name: option.name, error}))
+            }
+        }
+        announce.call(this, event, {...state}, option.logger)
+        const fields = {...context, name: option.name}
+        if(event === "start") {
+            log(option.logger, "debug", event, "Scheduler started a run of the task", fields)
+        } else if(event === "success") {
+            log(option.logger, "debug", event, "Scheduler finished a run of the task", {...fields, duration: state.duration})
+        } else if(event === "skip" && detail === "running") {
+            log(option.logger, "info", event, "Scheduler skipped a run of the task because its previous run hasn't finished yet", fields)
+        } else if(event === "skip" && detail === "locked") {
+            log(option.logger, "info", event, "Scheduler skipped a run of the exclusive task because another instance runs it", fields)
+        } else if(event === "skip") {
+            log(option.logger, "warn", event, "Scheduler skipped a run of the exclusive task because its lock couldn't be acquired", {...fields, error: detail})
+        } else if(event === "retry") {
+            log(option.logger, "warn", event, "Scheduler is retrying a failed run of the task", {...fields, error: detail})
+        } else if(event === "error") {
+            log(option.logger, "error", event, "Scheduler failed running the task", {...fields, error: detail, duration: state.duration})
+        }
+    })
+
+    /*
+        Fire the job the way its timers do, unless it's forbidden (see @option.allowed), paused or the scheduler is in dry run mode
+        (see common_settings.dryRun and dry()), in which case it only reports what would have run, without calling the handler
+    */
+    const fire = context => {
+        if(!option.allowed) { // e.g. @option.autorun on an instance that isn't the master node
+            return log(option.logger, "debug", "forbidden", "Scheduler skipped a run of the forbidden task", {...context, name: option.name})
+        }
+        if(state.paused) {
+            return log(option.logger, "debug", "pause", "Scheduler skipped a run of the paused task", {...context, name: option.name})
+        }
+        if(dry(this)) {
+            announce.call(this, "dryrun", {...state, ...context}, option.logger)
+            return log(option.logger, "info", "dryrun", "Scheduler would have run the task, but it's a dry run", {...context, name: option.name})
+        }
+        return run(context).catch(() => {}) // errors are already reported by the runner
+    }
+
+    /*
+        Run the job for the runs that were missed since its last successful run, according to @option.catchUp:
+            "none"  don't catch up at all (default)
+            "once"  run the job once, no matter how many runs were missed
+            "all"   run the job once for every missed run (but no more than the latest 100), one after the other
+        If the store doesn't know the job yet, then there's nothing to catch up on, but the current time is saved
+        as a starting point, so that the next downtime can be detected (unless it's a dry run, which never writes to the store).
+    */
+    const recover = async () => {
+        if(option.catchUp === "none" || state.paused) return
+        const now = option.clock.now()
+        const last = await option.store.get(option.name)
+        if(last === undefined || last === null) return dry(this) ? undefined : option.store.set(option.name, now)
+        const {total, dates} = overdue(part, {
+            from: new Date(last),
+            until: now,
+            timezone: option.timezone,
+            filter,
+            limit: option.catchUp === "once" ? 1 : MISSED
+        })
+        if(total < 1) return
+        log(option.logger, "info", "catchup", "Scheduler is catching up on missed runs of the task", {name: option.name, missed: total, runs: dates.length, since: new Date(last)})
+        for(const date of dates) {
+            await fire({job: option.name, catchup: true, date})
+        }
+    }
+
+    // the candidate days of last_day() and nth() would be misleading, so jobs with rules are described as a whole
+    const summary = option.timestamp.some(ruled) ? explain.call(this, option.timestamp, {locale: option.locale}) : undefined
 
     for(let [count, timer] of part.entries()) { // setup one cronjob per timer string
-        assert(validate(timer), `Scheduler couldn't setup task '${option.name}' because of invalid inverval timer '${timer}'!`)
+        const id = `${option.name}${part.length > 1 ? ` (no.${count + 1})` : ""}`
+        const handler = date => {
+            const context = {job: id, timer, date: date instanceof Date ? date : new Date(Math.floor(option.clock.now().getTime() / 1000) * 1000)}
+            const report = error => { // e.g. the holiday API behind @option.exclude is down
+                log(option.logger, "error", "exclude", "Scheduler couldn't check the exclusions of the task, so it doesn't leave out that day", {...context, name: option.name, error})
+            }
+            if(date instanceof Date && filter !== undefined && !filter(date, wallclock(date, option.timezone), report)) { // see guard()
+                return log(option.logger, "debug", "exclude", "Scheduler skipped a run of the task because its rules or exclusions leave out that day", {...context, name: option.name})
+            }
+            return fire(context)
+        }
         if(option.autorun && count === 0) {
-            option.handler()
+            handler()
         }
         this.queue.push({
-            id: `${option.name}${part.length > 1 ? ` (no.${count + 1})` : ""}`,
+            id,
+            name: option.name,
+            state,
             ts: timer,
+            description: summary || describe(timer, {locale: option.locale}),
             allowed: option.allowed,
-            task: schedule(timer, option.handler, {scheduled: !option.perpetual, timezone: option.timezone})
+            active: !option.perpetual && option.allowed, // the task starts right away unless it's perpetual or forbidden (see below)
+            option,
+            logger: option.logger,
+            recover,
+            run,
+            guard: filter,
+            nextRuns: (count = 1) => upcoming([timer], {count, from: option.clock.now(), timezone: option.timezone, filter}),
+            task: schedule(timer, handler, {
+                scheduled: !option.perpetual && option.allowed,
+                timezone: option.timezone,
+                clock: option.clock,
+                error: error => log(option.logger, "error", "timer", "Scheduler caught an error while firing the task", {job: id, name: option.name, timer, error})
+            })
         })
     }
     
@@ -389,50 +1221,242 @@ const create = function(option) {
 
 
 
-const start = function(name) {
-    let queue = this.queue
-    if(typeof name === "string" && name.length > 0) {
-        const search_regex = new RegExp("^" + name)
-        queue = queue.filter(task => search_regex.test(task.id)) // one job could be split into multiple parts (timers)
-    }
+const start = function(name, exact = false) {
+    const queue = select.call(this, name, exact) // one job could be split into multiple parts (timers)
     if(queue.length > 0) {
-        console.log(`Scheduling ${queue.length}/${this.queue.length} tasks on application server with PID ${PID}...`)
+        const logger = this.common_settings.logger
+        log(logger, "debug", "activate", "Scheduler is activating tasks", {tasks: queue.length, total: this.queue.length})
         for(const job of queue) {
             if(job.allowed) {
                 job.task.start()
-                console.log(`Scheduler started running task '${job.id}' at invervals of '${job.ts}' on application server with PID ${PID} and name '${APN}'.`)
+                job.active = true
+                log(job.logger, "info", "activate", "Scheduler activated the task", {job: job.id, name: job.name, timer: job.ts, description: job.description})
             } else {
-                console.info(`Scheduler skipped starting forbidden task '${job.id}' on application server with PID ${PID}.`)
+                log(job.logger, "info", "forbidden", "Scheduler skipped activating the forbidden task", {job: job.id, name: job.name, timer: job.ts, description: job.description})
             }
         }
-        console.log(`Scheduled ${queue.filter(task => task.allowed).length}/${queue.length} tasks on application server with PID ${PID}.`)
+        log(logger, "debug", "activate", "Scheduler activated tasks", {tasks: queue.filter(task => task.allowed).length, total: queue.length})
+        const recovering = queue
+            .filter(job => job.allowed)
+            .filter((job, index, self) => self.findIndex(other => other.recover === job.recover) === index) // once per job, not per timer
+        for(const job of recovering) {
+            job.recover().catch(error => log(job.logger, "warn", "catchup", "Scheduler couldn't catch up on missed runs of the task", {name: job.name, error}))
+        }
     }
     return this
-    // NOTE: .stop() isn't very useful for tasks that run forever but you could always access the handler from module.exports!
-    // EXAMPLE: const jobs = ROOTPATH.require("job/core/schedule"); jobs["task-name"].stop()
 }
 
 
 
-const stop = function(name) {
-    let queue = this.queue.filter(task => task.allowed) // we know that only allowed tasks can be running!
-    if(typeof name === "string" && name.length > 0) {
-        const search_regex = new RegExp("^" + name)
-        queue = queue.filter(task => search_regex.test(task.id))
-    }
+const stop = function(name, exact = false) {
+    const queue = select.call(this, name, exact)
     if(queue.length > 0) {
-        console.log(`Stopping ${queue.length} scheduled tasks on application server with PID ${PID}...`)
+        const logger = this.common_settings.logger
+        log(logger, "debug", "deactivate", "Scheduler is deactivating tasks", {tasks: queue.length})
         for(const job of queue) {
             job.task.stop() // NOTE: .destroy() method is not available, as stated by the docs!
-            console.info(`Scheduler stopped running '${job.id}' at invervals of '${job.ts}' on application server with PID ${PID} and name '${APN}'.`)
+            job.active = false
+            log(job.logger, "info", "deactivate", "Scheduler deactivated the task", {job: job.id, name: job.name, timer: job.ts, description: job.description})
         }
-        console.log(`Scheduled tasks on application server with PID ${PID} have been stopped.`)
+        log(logger, "debug", "deactivate", "Scheduler deactivated tasks", {tasks: queue.length})
+    }
+    return this
+}
+
+
+
+/*
+    Stop the jobs with the given name and remove them from the queue for good
+    Unlike deactivate(), there's no way back. But a job with the same name can be scheduled again afterwards.
+*/
+const remove = function(name, exact = false) {
+    assert(type({string: name}) && name.length > 0, `Scheduler couldn't unschedule tasks without a name! Use '*' to unschedule all of them.`)
+    for(const job of select.call(this, name, exact)) {
+        job.task.stop()
+        job.active = false
+        this.queue.splice(this.queue.indexOf(job), 1)
+        log(job.logger, "info", "unschedule", "Scheduler removed the task", {job: job.id, name: job.name, timer: job.ts, description: job.description})
+    }
+    return this
+}
+
+
+
+/*
+    Change the timestamp of a job, while keeping all of its other options, its state and whether it's active or not
+    If the new timestamp is invalid, then the job stays as it was.
+    e.g.
+        reschedule("Backup all of my databases", time(04, 00))
+    
+    Internally, the options can be replaced as well (see load()), but the state and whether it's active or not are still kept.
+*/
+const replace = function(name, timestamp, option) {
+    const queue = this.queue.filter(job => job.name === name)
+    assert(queue.length > 0, `Scheduler couldn't reschedule unknown task '${name}'!`)
+    const position = this.queue.indexOf(queue[0])
+    const {state, active} = queue[0]
+    for(const job of queue) this.queue.splice(this.queue.indexOf(job), 1) // make room for the new timers
+    try {
+        create.call(this, {...(option || queue[0].option), timestamp, autorun: false})
+    } catch(error) {
+        for(const job of this.queue.filter(job => job.name === name)) { // leftovers of the failed attempt
+            job.task.stop()
+            this.queue.splice(this.queue.indexOf(job), 1)
+        }
+        this.queue.splice(position, 0, ...queue)
+        throw error
+    }
+    const created = this.queue.filter(job => job.name === name)
+    for(const job of created) this.queue.splice(this.queue.indexOf(job), 1)
+    this.queue.splice(position, 0, ...created) // keep the order of the queue
+    for(const job of queue) job.task.stop()
+    for(const job of created) {
+        Object.assign(job.state, {...state, running: job.state.running}) // the runs in progress still belong to the old timers
+        if(active && job.allowed) job.task.start()
+        else job.task.stop()
+        job.active = active && job.allowed
+        log(job.logger, "info", "reschedule", "Scheduler rescheduled the task", {job: job.id, name: job.name, timer: job.ts, description: job.description})
+    }
+    return this
+}
+
+
+
+/*
+    Pause the jobs with the given name (or all of them), which keeps their timers running, but skips their runs
+    Unlike deactivate() and activate(), resume() doesn't catch up on the runs that were skipped in the meantime.
+*/
+const suspend = function(name, paused = true) {
+    const states = select.call(this, name)
+        .map(job => job.state)
+        .filter((state, index, self) => self.indexOf(state) === index)
+    for(const state of states) {
+        state.paused = paused
+        log(this.common_settings.logger, "info", paused ? "pause" : "resume", paused ? "Scheduler paused the task" : "Scheduler resumed the task", {name: state.name})
+    }
+    return this
+}
+
+
+
+/*
+    Schedule the jobs of a config file (or object) and reconcile them with the queue when it's loaded again
+    Jobs that are new to the config are added, jobs that have changed are rescheduled (keeping their state)
+    and jobs that have been removed from the config are unscheduled. Jobs from anywhere else are left alone.
+    See config.js for the format of the config.
+    e.g.
+        load("./cron.json").activate()
+        load(yaml.parse(text), {origin: "billing"}) // reconciles with the previous load of "billing"
+
+    Options:
+        origin      a name for a config object, which is needed to reconcile it when it's loaded again,
+                    because objects have no file path that would tell them apart (files ignore it)
+                    Objects without an origin are always added as a new config and never reconciled with the other ones.
+*/
+const load = function(source, {origin: name} = {}) {
+    const {origin, jobs} = config.read(source, this, name)
+    const loaded = this.queue.filter(job => job.option.origin === origin)
+    const taken = jobs
+        .filter(job => this.queue.some(other => other.name === job.name && other.option.origin !== origin))
+        .map(job => job.name)
+    assert(taken.length < 1, `Scheduler couldn't load config '${origin}' because there are already tasks named '${taken.join("', '")}'!`)
+
+    const running = loaded.some(job => job.active) // when reloading, new jobs are activated right away
+    const removed = loaded
+        .map(job => job.name)
+        .filter((name, index, self) => self.indexOf(name) === index && !jobs.some(job => job.name === name))
+    const changed = jobs.filter(job => loaded.some(other => other.name === job.name && other.option.fingerprint !== job.fingerprint))
+    const added = jobs.filter(job => !loaded.some(other => other.name === job.name))
+
+    for(const name of removed) remove.call(this, name, true)
+    for(const job of changed) replace.call(this, job.name, job.timestamp, job)
+    for(const job of added) {
+        create.call(this, job)
+        if(running) start.call(this, job.name, true)
     }
+    log(this.common_settings.logger, "info", "load", "Scheduler loaded the config", {
+        origin,
+        added: added.map(job => job.name),
+        changed: changed.map(job => job.name),
+        removed
+    })
     return this
 }
 
 
 
+/*
+    Run a job right now, on demand, and return (a Promise of) the result of its handler
+    The run goes through the same wrapper as the scheduled runs (concurrency, timeout, retry, locks, events and logs),
+    but it ignores pause() and dry run mode. Forbidden jobs (see @option.allowed) only run if they are forced to.
+    If the run is skipped, e.g. because the job is still running and its concurrency is "skip", then the Promise rejects
+    with an error whose `skipped` property is the reason ("running", "locked" or the error of the lock backend).
+    e.g.
+        await run("Backup all of my databases")
+        await run("Backup all of my databases", {force: true}) // even if it's not allowed on this instance
+*/
+const trigger = async function(name, {force = false} = {}) {
+    const job = this.queue.find(job => job.name === name)
+    assert(job !== undefined, `Scheduler couldn't run unknown task '${name}'!`)
+    assert(job.allowed || force, `Scheduler couldn't run forbidden task '${name}'! Use {force: true} to run it anyways.`)
+    log(job.logger, "info", "run", "Scheduler is running the task on demand", {name, force})
+    return job.run({job: name, manual: true, date: new Date(Math.floor(job.option.clock.now().getTime() / 1000) * 1000)})
+}
+
+
+
+/*
+    Get an overview of all jobs, one entry per job (no matter into how many timers it has been split)
+    e.g.
+        list()
+        // [{name, timers, description, allowed, active, paused, next}]
+*/
+const list = function() {
+    return this.queue
+        .filter((job, index, self) => self.findIndex(other => other.name === job.name) === index)
+        .map(job => {
+            const parts = this.queue.filter(other => other.name === job.name)
+            const timers = parts.map(part => part.ts)
+            return {
+                name: job.name,
+                timers,
+                description: job.option.timestamp.some(ruled) ? job.description : describe(timers, {locale: job.option.locale}),
+                allowed: job.allowed,
+                active: parts.some(part => part.active),
+                paused: job.state.paused,
+                next: upcoming(timers, {from: job.option.clock.now(), timezone: job.option.timezone, filter: job.guard})[0] || null
+            }
+        })
+}
+
+
+
+/*
+    Create a request handler for an admin interface over HTTP, which lists the jobs and lets you start, stop and run them
+    It's off by default, nothing is exposed until you mount the handler yourself. See admin.js for the routes and the options.
+    e.g.
+        app.use("/admin/cron", expose({auth: (req, res, next) => req.user && req.user.admin ? next() : res.sendStatus(403)}))
+        http.createServer(expose({prefix: "/cron", auth})).listen(8080)
+    
+    NOTE
+        Without an auth hook, anyone who can reach the handler can run your jobs! That's fine behind a firewall,
+        but it's logged as a warning, just in case.
+*/
+const expose = function(option = {}) {
+    const handler = admin.handler({
+        list: () => list.call(this),
+        start: name => start.call(this, name, true),
+        stop: name => stop.call(this, name, true),
+        run: (name, options) => trigger.call(this, name, options)
+    }, option)
+    if(option.auth === undefined) {
+        log(this.common_settings.logger, "warn", "admin", "Scheduler created an admin interface without an auth hook", {prefix: option.prefix})
+    }
+    return handler
+}
+
+
+
 /*
     NOTE ABOUT BINDING `this`
         FORGET ARROW FUNCTIONS ALTOGETHER! They don't work in this case, as 'this' is already bound
@@ -443,8 +1467,8 @@ const stop = function(name) {
         and NOT WITH `const {schedule} = ROOTPATH.require("schedule"); console.log(schedule);`!
         (.apply() won't work either...)
 
-        What seems to work, is to reference `module.exports` instead. A shorthand like `const self = module.exports = {}`
-        may be more convenient. This way you can keep using `return private_fn.call(self, param)` binding.
+        What seems to work, is to reference the object itself instead. That's why scheduler() below keeps it
+        in `const self = {}` and binds every method with `return private_fn.call(self, param)`.
         This also works for both module inclusion methods `const {schedule} = require()` and `const cron = require()`
     
     REASONING
@@ -452,18 +1476,92 @@ const stop = function(name) {
         Because this ways I can have 'private' functions that have their own naming and logic and 'rewire'
         then for the 'public' use as I want. Plus, it looks cleaner.
 */
-let self = module.exports = {
-    time: daily,
-    weekday: weekly,
-    month: monthly,
-    merge: join, // flatten multiple timestamps into a single string
-    join: (...timer) => split(compile(...timer)), // most user-friedly and smart option!
-    queue: [],
-    common_settings: {
+
+
+
+/*
+    The default settings of every scheduler, which can be changed any time through its common_settings
+    Every scheduler gets its own copy, so that instances never share their settings.
+    There's no default lock backend, because one that isn't shared by all instances of the application (like lock.memory())
+    would let exclusive tasks run everywhere without any warning. It has to be chosen on purpose.
+    Only the default state store is shared, because it's one and the same file (see file() in store.js).
+*/
+const defaults = function() {
+    return {
         perpetual: false, // repeat over-and-over, or run only once
-        timezone: "Europe/Berlin" //new Intl.DateTimeFormat().resolvedOptions().timeZone // auto-detect current timezone
-    },
-    schedule: function(options) {return create.call(self, options)},
-    activate: function(name) {return start.call(self, name)},
-    deactivate: function(name) {return stop.call(self, name)}
+        timezone: "Europe/Berlin", //new Intl.DateTimeFormat().resolvedOptions().timeZone // auto-detect current timezone
+        concurrency: "skip", // what to do if a task is still running when it's due again: "skip", "queue" or "parallel"
+        timeout: 0, // maximum duration of a task run in milliseconds (0 means no timeout)
+        retry: {attempts: 1, backoff: 0}, // how often to try running a failing task and how many milliseconds to wait in between
+        dryRun: false, // only log and emit ('dryrun' event) what would have run, without running anything (except for run())
+        strict: true, // let the helpers throw on bad input (e.g. time(25, 70) or weekday("sundy")), instead of ignoring it silently
+        clock: clock.system, // tells the time and wakes up the tasks, use clock.fake() in tests (see clock.js)
+        logger: console, // any object with debug(), info(), warn() and error() methods
+        lock: undefined, // backend for exclusive tasks, which all instances must share, e.g. lock.file() or your own (see lock.js)
+        catchUp: "none", // what to do on activate() with runs that were missed while the application was down: "none", "once" or "all"
+        store: store.file(), // remembers the last successful run of tasks that catch up, defaults to '.doncron.json' in the working directory
+        locale: "en" // language of the task descriptions in the queue and the logs: "en" or "de"
+    }
 }
+
+
+
+/*
+    Create an independent scheduler with its own queue, events, settings and lifecycle
+    The options are its initial common_settings (see defaults() above). Jobs of one scheduler
+    never see the jobs of another one, so deactivate() or unschedule("*") only affect their own.
+    e.g.
+        const cron = createScheduler({timezone: "UTC", logger: pino()})
+        cron.schedule({name: "Backup all of my databases", handler, timestamp: cron.time(03, 00)}).activate()
+
+    NOTE
+        The module itself is a default scheduler, which is what `require("doncron")` returns.
+        Libraries should always create their own scheduler, to stay out of the way of the application (and other libraries).
+*/
+const scheduler = function(option = {}) {
+    const settings = defaults()
+    const unknown = Object.keys(option).filter(key => !Object.keys(settings).includes(key))
+    assert(unknown.length < 1, `Scheduler couldn't be created with unknown setting${unknown.length > 1 ? "s" : ""} '${unknown.join("', '")}'! Use '${Object.keys(settings).join("', '")}'.`)
+
+    const self = {
+        time: function(...param) {return daily.apply(self, param)},
+        weekday: function(...param) {return weekly.apply(self, param)},
+        month: function(...param) {return monthly.apply(self, param)},
+        every: function(...param) {return every.apply(self, param)},
+        between: function(...param) {return between.apply(self, param)},
+        lastDay: function(...param) {return last_day.apply(self, param)},
+        nth: function(...param) {return nth.apply(self, param)},
+        merge: join, // flatten multiple timestamps into a single timestamp
+        join: combine, // most user-friedly and smart option!
+        verify,
+        Timestamp,
+        lock,
+        store,
+        clock,
+        queue: [],
+        events: new EventEmitter(), // emits 'start', 'success', 'error', 'skip', 'retry' and 'dryrun' with the state of the job
+        common_settings: Object.assign(settings, option),
+        createScheduler: scheduler,
+        next: function(timestamp, options) {return preview.call(self, timestamp, options)},
+        describe: function(timestamp, options) {return explain.call(self, timestamp, options)},
+        schedule: function(options) {return create.call(self, options)},
+        activate: function(name) {return start.call(self, name)},
+        deactivate: function(name) {return stop.call(self, name)},
+        unschedule: function(name) {return remove.call(self, name)},
+        reschedule: function(name, timestamp) {return replace.call(self, name, timestamp)},
+        pause: function(name) {return suspend.call(self, name, true)},
+        resume: function(name) {return suspend.call(self, name, false)},
+        list: function() {return list.call(self)},
+        load: function(source, options) {return load.call(self, source, options)},
+        run: function(name, options) {return trigger.call(self, name, options)},
+        status: function(name) {return status.call(self, name)},
+        admin: function(options) {return expose.call(self, options)},
+        on: function(event, listener) {self.events.on(event, listener); return self},
+        off: function(event, listener) {self.events.off(event, listener); return self}
+    }
+    return self
+}
+
+
+
+module.exports = scheduler()
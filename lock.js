@@ -0,0 +1,96 @@
+/*
+    This module provides locks, which make sure that an exclusive job runs on only one instance of the application,
+    even if there are many of them (e.g. a PM2 cluster, autoscaling or blue/green deployments).
+
+    Every time an exclusive job is due, all instances try to acquire a lock with the same key,
+    which consists of the job name and the scheduled time of the run, e.g. 'backup@2024-01-01T03:00:00.000Z'.
+    Only the first instance gets the lock and runs the job, all the others skip it.
+    Locks are never released, they simply expire after a while, because the next run has a different key anyways.
+    (Releasing them would allow a slightly late instance to acquire the lock and run the job a second time!)
+
+    A lock backend is any object with an `acquire(key)` method, which returns (a Promise of) true if the lock
+    has been acquired and false if another instance already holds it. So, adding a Redis or Postgres backend
+    is as easy as e.g. `{acquire: key => redis.set(key, 1, "NX", "EX", 3600).then(reply => reply === "OK")}`
+*/
+
+const {check: type, assert} = require("type-approve")
+const crypto = require("crypto")
+const path = require("path")
+const fs = require("fs")
+const os = require("os")
+
+
+
+const TTL = 60 * 60 * 1000 // locks expire after an hour by default
+const CLEANUP = 60 * 1000 // look for expired lock files at most once a minute
+
+
+
+/*
+    Keep the locks in memory, which only works within the same process
+    This is the backend to use for tests, or for applications that run as a single instance anyways
+*/
+const memory = function({ttl = TTL} = {}) {
+    const locks = new Map()
+    return {
+        acquire: async function(key) {
+            const now = Date.now()
+            for(const [other, expiry] of locks) {
+                if(expiry <= now) locks.delete(other)
+            }
+            if(locks.has(key)) return false
+            locks.set(key, now + ttl)
+            return true
+        }
+    }
+}
+
+
+
+/*
+    Keep the locks as files in a directory, which works across processes and even across machines,
+    as long as all of them share the same directory (e.g. a network filesystem)
+    The lock file is created exclusively, so the filesystem decides which instance was first.
+*/
+const file = function(directory = path.join(os.tmpdir(), "doncron"), {ttl = TTL} = {}) {
+    assert(type({string: directory}), `Scheduler couldn't use '${directory}' as a directory for lock files!`)
+    let cleaned = 0
+
+    const cleanup = async function() {
+        const now = Date.now()
+        for(const filename of await fs.promises.readdir(directory)) {
+            if(!filename.endsWith(".lock")) continue
+            try {
+                const stats = await fs.promises.stat(path.join(directory, filename))
+                if(now - stats.mtimeMs > ttl) await fs.promises.unlink(path.join(directory, filename))
+            } catch(error) {
+                if(error.code !== "ENOENT") throw error // another instance was faster
+            }
+        }
+    }
+
+    return {
+        acquire: async function(key) {
+            await fs.promises.mkdir(directory, {recursive: true})
+            if(Date.now() - cleaned > CLEANUP) {
+                cleaned = Date.now()
+                await cleanup()
+            }
+            const filename = path.join(directory, `${crypto.createHash("sha1").update(key).digest("hex")}.lock`)
+            try {
+                await fs.promises.writeFile(filename, JSON.stringify({key, pid: process.pid, host: os.hostname(), time: new Date()}), {flag: "wx"})
+                return true
+            } catch(error) {
+                if(error.code === "EEXIST") return false
+                throw error
+            }
+        }
+    }
+}
+
+
+
+module.exports = {
+    memory,
+    file
+}
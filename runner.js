@@ -0,0 +1,180 @@
+/*
+    This module wraps the handler of a job into a runner, which takes care of
+    overlapping runs, timeouts and retries, so that the handler itself doesn't have to.
+
+    One job can be split into multiple timers (see combine() in index.js), but all of them share the same runner.
+    This way the overlap protection applies to the job as a whole and not only to each of its timers.
+*/
+
+const {check: type, assert} = require("type-approve")
+const {system} = require("./clock")
+
+
+
+const CONCURRENCY = ["skip", "queue", "parallel"]
+
+
+
+const sleep = function(ms, clock) {
+    return new Promise(resolve => clock.setTimeout(resolve, ms))
+}
+
+
+
+/*
+    Call the handler once and pass it an AbortSignal
+    If the handler doesn't finish in time, then the signal is aborted and the attempt fails with a timeout error.
+    The handler should listen to the signal and stop its work, because it can't be stopped from outside!
+    That's why the abandon callback gets a Promise that settles once the handler has really stopped.
+*/
+const attempt = function(name, handler, timeout, clock, abandon = () => {}) {
+    const controller = new AbortController()
+    return new Promise((resolve, reject) => {
+        let timer
+        const work = Promise.resolve().then(() => handler(controller.signal))
+        if(timeout > 0) {
+            timer = clock.setTimeout(() => {
+                const error = new Error(`Scheduler aborted task '${name}' because it didn't finish within ${timeout}ms!`)
+                controller.abort(error)
+                abandon(work.then(() => {}, () => {}))
+                reject(error)
+            }, timeout)
+        }
+        work
+            .then(resolve, reject)
+            .finally(() => timer !== undefined && clock.clearTimeout(timer))
+    })
+}
+
+
+
+/*
+    Create a runner for a job handler
+    Calling the runner runs the handler (with all of the options below) and returns a Promise of its result.
+    If the run is skipped (see concurrency and exclusive below), then the Promise rejects with an error whose `skipped` property is the reason.
+
+    Options:
+        concurrency     what to do when the job is triggered while it's still running (defaults to "skip")
+                        "skip"      don't run it again until the previous run has finished
+                        "queue"     run it again after the previous run has finished
+                        "parallel"  run it again right away, alongside the previous run
+        timeout         maximum duration of a single attempt in milliseconds (defaults to 0, which means no timeout)
+                        The run fails right away when the time is up, but a handler that ignores its AbortSignal keeps going.
+                        Until it has really stopped, the job counts as running: "skip" skips, "queue" waits and so do the retries.
+        retry           {attempts, backoff} how often to try running a failing handler (defaults to 1 attempt)
+                        and how long to wait in between (in milliseconds, or a function that takes the number of the failed attempt)
+                        e.g. {attempts: 3, backoff: count => count * 1000} waits 1s after the first failure and 2s after the second one
+        exclusive       run the job only if the lock for its scheduled time can be acquired (see lock.js), defaults to false
+        lock            the lock backend for exclusive jobs
+        clock           the clock for timeouts and backoffs (defaults to the system clock, see clock.js)
+
+    The notify callback is informed about everything that happens with notify(event, detail, context), where event is one of
+    "start", "skip", "retry", "success" or "error". Detail is the result, or the error of the run (if there's any).
+    For skipped runs, the detail is the reason: "running", "locked" or the error of the lock backend.
+    Context is whatever has been passed to the runner when it was called, e.g. the timer that triggered the run.
+    Its `date` is the scheduled time of the run, which is part of the lock key of exclusive jobs.
+    The notify callback shouldn't throw. If it does anyways, then the run fails with that error, but the runner keeps working.
+    A backoff function that throws fails the run with its error, just like the handler would on its last attempt.
+*/
+const runner = function(name, handler, option = {}, notify = () => {}) {
+    const concurrency = type({string: option.concurrency}) ? option.concurrency : "skip"
+    const timeout = type({number: option.timeout}) ? option.timeout : 0
+    const retry = type({object: option.retry}) ? option.retry : {}
+    const attempts = type({integer: retry.attempts}) ? retry.attempts : 1
+    const backoff = type({function: retry.backoff}) ? retry.backoff : () => type({number: retry.backoff}) ? retry.backoff : 0
+    const exclusive = option.exclusive === true
+    const lock = option.lock
+    const clock = option.clock || system
+
+    assert(type({function: handler}), `Scheduler couldn't setup task '${name}' without a handler function!`)
+    assert(CONCURRENCY.includes(concurrency), `Scheduler couldn't setup task '${name}' with unknown concurrency '${concurrency}'! Use one of '${CONCURRENCY.join("', '")}'.`)
+    assert(timeout >= 0, `Scheduler couldn't setup task '${name}' with negative timeout '${timeout}'!`)
+    assert(attempts >= 1, `Scheduler couldn't setup task '${name}' with less than one attempt!`)
+    assert(!exclusive || (type({object: lock}) && type({function: lock.acquire})), `Scheduler couldn't setup exclusive task '${name}' without a lock backend!`)
+
+    let running = 0
+    let previous = Promise.resolve()
+    let lingering = 0 // handlers that have timed out, but haven't stopped yet (see attempt())
+    let abandoned = Promise.resolve()
+
+    const abandon = function(work) {
+        lingering++
+        abandoned = Promise.all([abandoned, work.then(() => {lingering--})])
+    }
+
+    const execute = async function(context) {
+        running++
+        try {
+            notify("start", undefined, context)
+            let result
+            let timedout = Promise.resolve()
+            for(let count = 1;; count++) {
+                let delay
+                try {
+                    result = await attempt(name, handler, timeout, clock, work => {
+                        timedout = work
+                        abandon(work)
+                    })
+                    break
+                } catch(error) {
+                    if(count >= attempts) {
+                        notify("error", error, context)
+                        throw error
+                    }
+                    try {
+                        delay = backoff(count)
+                    } catch(failure) { // a broken backoff function ends the run, otherwise it would be considered running forever
+                        notify("error", failure, context)
+                        throw failure
+                    }
+                    notify("retry", error, context)
+                }
+                await timedout // never retry alongside the previous attempt
+                await sleep(delay, clock)
+            }
+            notify("success", result, context) // outside of the attempts, so that it can never be taken for a failure of the handler
+            return result
+        } finally {
+            running-- // no matter what, otherwise the job would be considered running forever
+        }
+    }
+
+    /*
+        Skipped runs reject with an error whose `skipped` property is the reason,
+        so that they can't be mistaken for a run whose handler returned nothing
+    */
+    const skip = function(reason, context) {
+        notify("skip", reason, context)
+        const cause = reason === "running" ? "its previous run hasn't finished yet" : reason === "locked" ? "another instance runs it" : "its lock couldn't be acquired"
+        const error = new Error(`Scheduler skipped a run of task '${name}' because ${cause}!`)
+        error.skipped = reason
+        return Promise.reject(error)
+    }
+
+    const dispatch = function(context) {
+        if(concurrency === "skip" && running + lingering > 0) return skip("running", context)
+        if(concurrency === "queue") {
+            const current = previous.then(() => execute(context))
+            previous = current.catch(() => {}).then(() => abandoned) // a failed run must not block the following ones, but its handler may
+            return current
+        }
+        return execute(context)
+    }
+
+    return function(context = {}) {
+        if(!exclusive) return dispatch(context)
+        if(concurrency === "skip" && running + lingering > 0) return skip("running", context) // before taking the key away from the other instances
+        const date = context.date instanceof Date ? context.date : clock.now()
+        const key = `${name}@${new Date(Math.floor(date.getTime() / 1000) * 1000).toISOString()}` // whole seconds, like the timers
+        return Promise.resolve()
+            .then(() => lock.acquire(key))
+            .then(acquired => acquired ? dispatch(context) : skip("locked", context), error => skip(error, context))
+    }
+}
+
+
+
+module.exports = {
+    CONCURRENCY,
+    runner
+}
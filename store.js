@@ -0,0 +1,102 @@
+/*
+    This module provides state stores, which remember the last successful run of every job across restarts
+    The scheduler uses them to catch up on the runs that were missed while the application was down (see the catchUp option).
+
+    A state store is any object with two methods:
+        get(name)           returns (a Promise of) the scheduled time of the last successful run of the job, or undefined
+        set(name, date)     saves it and returns (a Promise), if there's any
+    So, keeping the state in a database is as easy as e.g.
+    `{get: name => db.get(name).then(row => row && row.fired), set: (name, date) => db.upsert({name, fired: date})}`
+*/
+
+const {check: type, assert} = require("type-approve")
+const path = require("path")
+const fs = require("fs")
+const crypto = require("crypto")
+
+
+
+const CATCHUP = ["none", "once", "all"] // what a job can do about the runs that were missed while the application was down
+
+
+
+/*
+    Keep the state in memory, which is lost whenever the process exits
+    This is the store to use for tests.
+*/
+const memory = function() {
+    const records = new Map()
+    return {
+        get: async function(name) {
+            return records.get(name)
+        },
+        set: async function(name, date) {
+            records.set(name, new Date(date))
+        }
+    }
+}
+
+
+
+const files = new Map() // one store per file, shared by all schedulers of the process
+
+
+
+/*
+    Keep the state in a JSON file, e.g. {"Backup all of my databases": "2024-01-01T03:00:00.000Z"}
+    Every change is written right away. It's written into a temporary file first and then renamed,
+    so that a crash can never leave a half-written file behind.
+
+    NOTE
+        Several schedulers (see createScheduler() in index.js) and several processes (e.g. a PM2 cluster)
+        may share the same file. That's why the file is read again and merged before every write, instead of
+        being overwritten with whatever this process knows. And all schedulers of a process get the same store
+        for the same file, so that their writes happen one after the other. Processes can still overwrite each other
+        if they write at the very same moment, so give them a file each (or a database) if that's a concern.
+*/
+const file = function(filename = path.join(process.cwd(), ".doncron.json")) {
+    assert(type({string: filename}), `Scheduler couldn't use '${filename}' as a state file!`)
+    const location = path.resolve(filename)
+    if(files.has(location)) return files.get(location)
+    let writing = Promise.resolve()
+
+    const load = function() {
+        return fs.promises.readFile(location, "utf8").then(JSON.parse, error => {
+            if(error.code === "ENOENT") return {} // nothing has been saved yet
+            throw error
+        })
+    }
+
+    const save = async function(content) {
+        const temporary = `${location}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`
+        await fs.promises.mkdir(path.dirname(location), {recursive: true})
+        await fs.promises.writeFile(temporary, JSON.stringify(content, null, 4))
+        await fs.promises.rename(temporary, location)
+    }
+
+    const store = {
+        get: async function(name) {
+            const content = await load()
+            return type({string: content[name]}) ? new Date(content[name]) : undefined
+        },
+        set: function(name, date) {
+            const fired = new Date(date).toISOString()
+            writing = writing.catch(() => {}).then(async () => { // one write at a time
+                const content = await load() // including the changes of everyone else
+                content[name] = fired
+                await save(content)
+            })
+            return writing
+        }
+    }
+    files.set(location, store)
+    return store
+}
+
+
+
+module.exports = {
+    CATCHUP,
+    memory,
+    file
+}
@@ -0,0 +1,113 @@
+/*
+    These tests cover the catch up on missed runs (see the catchUp option) with a state store in memory (see store.js)
+*/
+
+const test = require("node:test")
+const assert = require("node:assert")
+const {createScheduler, clock, store} = require("../index")
+
+
+
+const silent = () => {}
+
+
+
+/*
+    Create a scheduler on a fake clock with an hourly job that catches up, and collect the scheduled times of its successful runs
+*/
+const setup = function(start, catchUp, handler = silent) {
+    const fake = clock.fake(new Date(start))
+    const states = store.memory()
+    const entries = []
+    const cron = createScheduler({
+        timezone: "UTC",
+        clock: fake,
+        store: states,
+        logger: {debug: silent, info: entry => entries.push(entry), warn: silent, error: silent}
+    })
+    const runs = []
+    cron.on("success", state => runs.push(state.fired.toISOString()))
+    cron.schedule({name: "report", catchUp, handler, timestamp: cron.every(1, "hours")})
+    return {cron, clock: fake, states, entries, runs}
+}
+
+
+
+/*
+    Let the catch up of activate() finish, which runs in the background
+*/
+const settle = async function() {
+    for(let round = 0; round < 10; round++) {
+        await new Promise(resolve => setImmediate(resolve))
+    }
+}
+
+
+
+test("only records a starting point on the first activation", async () => {
+    const {cron, clock, states, runs} = setup("2024-01-01T05:30:00Z", "all")
+    cron.activate()
+    await settle()
+    assert.deepStrictEqual(runs, [])
+    assert.deepStrictEqual(await states.get("report"), new Date("2024-01-01T05:30:00Z"))
+    await clock.advance("1 hour")
+    assert.deepStrictEqual(runs, ["2024-01-01T06:00:00.000Z"])
+    cron.unschedule("*")
+})
+
+
+
+test("catches up once on the latest missed run", async () => {
+    const {cron, states, runs} = setup("2024-01-01T05:30:00Z", "once")
+    await states.set("report", new Date("2024-01-01T00:00:00Z"))
+    cron.activate()
+    await settle()
+    assert.deepStrictEqual(runs, ["2024-01-01T05:00:00.000Z"])
+    assert.deepStrictEqual(await states.get("report"), new Date("2024-01-01T05:00:00Z"))
+    cron.unschedule("*")
+})
+
+
+
+test("catches up on every missed run, one after the other", async () => {
+    const {cron, states, runs} = setup("2024-01-01T05:30:00Z", "all")
+    await states.set("report", new Date("2024-01-01T00:00:00Z"))
+    cron.activate()
+    await settle()
+    assert.deepStrictEqual(runs, ["01", "02", "03", "04", "05"].map(hour => `2024-01-01T${hour}:00:00.000Z`))
+    assert.deepStrictEqual(await states.get("report"), new Date("2024-01-01T05:00:00Z"))
+    cron.unschedule("*")
+})
+
+
+
+test("catches up on no more than the latest 100 missed runs", async () => {
+    const {cron, states, entries, runs} = setup("2024-01-01T05:30:00Z", "all")
+    await states.set("report", new Date("2023-12-20T00:00:00Z"))
+    cron.activate()
+    await settle()
+    assert.strictEqual(runs.length, 100)
+    assert.deepStrictEqual([runs[0], runs[99]], ["2023-12-28T02:00:00.000Z", "2024-01-01T05:00:00.000Z"])
+    const entry = entries.find(entry => entry.event === "catchup")
+    assert.deepStrictEqual([entry.missed, entry.runs], [293, 100]) // 12 days of hourly runs and 5 more hours
+    cron.unschedule("*")
+})
+
+
+
+test("saves the scheduled time of every successful run, but not of failed ones", async () => {
+    let failing = false
+    const {cron, clock, states} = setup("2024-01-01T05:30:00Z", "once", () => {
+        if(failing) throw new Error("boom")
+    })
+    await states.set("report", new Date("2024-01-01T05:00:00Z")) // nothing was missed
+    cron.activate()
+    await clock.advance("1 hour")
+    await settle()
+    assert.deepStrictEqual(await states.get("report"), new Date("2024-01-01T06:00:00Z"))
+    failing = true
+    await clock.advance("1 hour")
+    await settle()
+    assert.deepStrictEqual(await states.get("report"), new Date("2024-01-01T06:00:00Z"))
+    cron.unschedule("*")
+})
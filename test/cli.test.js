@@ -0,0 +1,57 @@
+/*
+    These tests run the command line interface (see cli.js) on a module with cronjob definitions
+*/
+
+const test = require("node:test")
+const assert = require("node:assert")
+const {spawnSync} = require("child_process")
+const path = require("path")
+const fs = require("fs")
+const os = require("os")
+
+
+
+const CLI = path.join(__dirname, "..", "cli.js")
+
+
+
+const doncron = function(...args) {
+    const {status, stdout, stderr} = spawnSync(process.execPath, [CLI, ...args], {encoding: "utf8", timeout: 30000})
+    return {status, stdout, stderr}
+}
+
+
+
+test("prints the jobs of a module without running any of them, even on schedulers of its own", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "doncron-"))
+    const marker = path.join(directory, "ran")
+    const module = path.join(directory, "cron.js")
+    fs.writeFileSync(module, `
+        const {createScheduler, store} = require(${JSON.stringify(path.join(__dirname, "..", "index"))})
+        const cron = module.exports = createScheduler({timezone: "UTC", store: store.memory()})
+        const handler = () => require("fs").writeFileSync(${JSON.stringify(marker)}, "ran")
+        cron.schedule({name: "Backup all of my databases", autorun: true, handler, timestamp: [cron.time(3, 0)]})
+        cron.activate()
+        const other = createScheduler({timezone: "UTC"})
+        other.schedule({name: "library job", autorun: true, handler, timestamp: other.every(1, "seconds")}).activate()
+    `)
+    try {
+        const {status, stdout, stderr} = doncron(module, "--json")
+        assert.strictEqual(status, 0, stderr)
+        const jobs = JSON.parse(stdout)
+        assert.deepStrictEqual(jobs.map(job => [job.name, job.timers, job.allowed]), [["Backup all of my databases", ["0 0 3 * * *"], true]])
+        assert.strictEqual(fs.existsSync(marker), false)
+        assert.doesNotMatch(stderr, /started a run/)
+    } finally {
+        fs.rmSync(directory, {recursive: true, force: true})
+    }
+})
+
+
+
+test("prints the usage and fails without a module", () => {
+    const {status, stderr} = doncron()
+    assert.strictEqual(status, 1)
+    assert.match(stderr, /^Usage: doncron <module>/)
+    assert.strictEqual(doncron("--help").status, 0)
+})
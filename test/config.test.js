@@ -0,0 +1,88 @@
+/*
+    These tests load job configs (see config.js) and reconcile the queue when they are loaded again
+*/
+
+const test = require("node:test")
+const assert = require("node:assert")
+const {createScheduler, clock, store} = require("../index")
+const path = require("path")
+const fs = require("fs")
+const os = require("os")
+
+
+
+const silent = () => {}
+const handler = {module: "os", export: "uptime"} // any function does, the jobs never run in these tests
+
+
+
+const setup = function() {
+    return createScheduler({
+        timezone: "UTC",
+        clock: clock.fake(new Date("2024-01-01T00:00:00Z")),
+        store: store.memory(),
+        logger: {debug: silent, info: silent, warn: silent, error: silent}
+    })
+}
+
+
+
+const timers = function(cron) {
+    return Object.fromEntries(cron.list().map(job => [job.name, job.timers.join(" | ")]))
+}
+
+
+
+test("keeps the jobs of config objects apart, unless they share an origin", () => {
+    const cron = setup()
+    cron.load({jobs: [{name: "a", handler, timestamp: {time: 3}}]})
+    cron.load({jobs: [{name: "b", handler, timestamp: {time: 4}}]})
+    assert.deepStrictEqual(timers(cron), {a: "0 0 3 * * *", b: "0 0 4 * * *"})
+    assert.throws(() => cron.load({jobs: [{name: "a", handler, timestamp: {time: 5}}]}), /already tasks named 'a'/)
+    cron.unschedule("*")
+})
+
+
+
+test("reconciles a config object with the previous load of the same origin", () => {
+    const cron = setup()
+    cron.load({jobs: [{name: "a", handler, timestamp: {time: 3}}, {name: "b", handler, timestamp: {time: 4}}]}, {origin: "billing"})
+    cron.load({jobs: [{name: "other", handler, timestamp: {time: 6}}]}, {origin: "reports"})
+    cron.activate()
+    cron.pause("a")
+    cron.load({jobs: [{name: "a", handler, timestamp: {time: 5}}, {name: "c", handler, timestamp: {time: 7}}]}, {origin: "billing"})
+    assert.deepStrictEqual(timers(cron), {a: "0 0 5 * * *", other: "0 0 6 * * *", c: "0 0 7 * * *"})
+    const jobs = cron.list()
+    assert.strictEqual(jobs.find(job => job.name === "a").paused, true) // rescheduled, but kept its state
+    assert.ok(jobs.every(job => job.active)) // the new job is activated right away, like the rest of its config
+    cron.unschedule("*")
+})
+
+
+
+test("reconciles a config file when it's loaded again", () => {
+    const cron = setup()
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "doncron-"))
+    const file = path.join(directory, "cron.json")
+    try {
+        fs.writeFileSync(file, JSON.stringify({jobs: [{name: "a", handler, timestamp: {time: 3}}, {name: "b", handler, timestamp: {time: 4}}]}))
+        cron.load(file, {origin: "ignored"})
+        cron.load({jobs: [{name: "c", handler, timestamp: {time: 6}}]})
+        fs.writeFileSync(file, JSON.stringify({jobs: [{name: "b", handler, timestamp: {weekday: "mon-fri"}}]}))
+        cron.load(file)
+        assert.deepStrictEqual(timers(cron), {b: "0 0 0 * * 1-5", c: "0 0 6 * * *"})
+    } finally {
+        fs.rmSync(directory, {recursive: true, force: true})
+        cron.unschedule("*")
+    }
+})
+
+
+
+test("reports all errors of a config at once and schedules none of its jobs", () => {
+    const cron = setup()
+    const broken = {jobs: [{name: "a", handler, timestamp: {time: 25}}, {handler: "./missing", timestamp: {every: [15, "minutes"]}}]}
+    assert.throws(() => cron.load(broken), error => /because of 3 errors/.test(error.message))
+    assert.strictEqual(cron.queue.length, 0)
+    assert.throws(() => cron.load({jobs: []}, {origin: ""}), /with origin ''/)
+})
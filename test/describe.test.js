@@ -0,0 +1,67 @@
+/*
+    These tests cover the descriptions of timers in plain words (see describe.js), with the examples of the README
+*/
+
+const test = require("node:test")
+const assert = require("node:assert")
+const {createScheduler, clock, store} = require("../index")
+
+
+
+const silent = () => {}
+
+
+
+const setup = function(settings = {}) {
+    return createScheduler({
+        timezone: "UTC",
+        clock: clock.fake(new Date("2024-01-01T00:00:00Z")),
+        store: store.memory(),
+        logger: {debug: silent, info: silent, warn: silent, error: silent},
+        ...settings
+    })
+}
+
+
+
+test("describes timestamps and timer strings in English", () => {
+    const cron = setup()
+    assert.strictEqual(cron.describe([cron.time(1, 0), cron.weekday("sunday")]), "at 01:00 on Sundays")
+    assert.strictEqual(cron.describe("59 30 7,9 1 6,12 1,5"), "at 07:30:59 and 09:30:59 on the 1st of June and December, and on Mondays and Fridays")
+    assert.strictEqual(cron.describe(cron.lastDay()), "at 00:00 on the last day of the month")
+})
+
+
+
+test("describes timestamps and timer strings in German", () => {
+    const cron = setup()
+    assert.strictEqual(cron.describe("0 30 7 * * 1-5", {locale: "de"}), "um 07:30 montags bis freitags")
+    assert.strictEqual(cron.describe([cron.time(1, 0), cron.weekday("sunday")], {locale: "de"}), "um 01:00 sonntags")
+    assert.strictEqual(cron.describe(cron.nth(1, "mon"), {locale: "de"}), "um 00:00 am 1. Montag des Monats")
+    assert.strictEqual(setup({locale: "de"}).describe(cron.time(7, 30)), "um 07:30 täglich") // common_settings.locale
+})
+
+
+
+test("describes timestamps that are split into several timers as a whole", () => {
+    const cron = setup()
+    assert.deepStrictEqual(cron.join(cron.time(7, 0), cron.time(9, 30)).map(String), ["0 0 7 * * *", "0 30 9 * * *"])
+    assert.strictEqual(cron.describe([cron.time(7, 0), cron.time(9, 30)]), "at 07:00 and 09:30 every day")
+    assert.strictEqual(cron.describe([cron.time(7, 0), cron.time(9, 30)], {locale: "de"}), "um 07:00 und 09:30 täglich")
+})
+
+
+
+test("describes every timer in the queue and every job in the list", () => {
+    const cron = setup()
+    cron.schedule({name: "report", handler: silent, timestamp: [cron.time(7, 0), cron.time(9, 30)]})
+    cron.schedule({name: "workdays", handler: silent, locale: "de", timestamp: [cron.time(7, 30), cron.weekday("mon-fri")]})
+    assert.deepStrictEqual(cron.queue.map(job => [job.id, job.ts, job.description]), [
+        ["report (no.1)", "0 0 7 * * *", "at 07:00 every day"],
+        ["report (no.2)", "0 30 9 * * *", "at 09:30 every day"],
+        ["workdays", "0 30 7 * * 1-5", "um 07:30 montags bis freitags"]
+    ])
+    assert.deepStrictEqual(cron.list().map(job => job.description), ["at 07:00 and 09:30 every day", "um 07:30 montags bis freitags"])
+    assert.throws(() => cron.schedule({name: "french", handler: silent, locale: "fr", timestamp: cron.time(7)}), /locale 'fr' is unknown/)
+    cron.unschedule("*")
+})
@@ -0,0 +1,84 @@
+/*
+    These tests make sure that schedulers of createScheduler() share nothing with each other, nor with the default scheduler
+*/
+
+const test = require("node:test")
+const assert = require("node:assert")
+const doncron = require("../index")
+const {createScheduler, clock, store, lock} = doncron
+
+
+
+const silent = () => {}
+
+
+
+/*
+    Create two schedulers on the same fake clock, each with a lock, a store and an hourly job of the same name
+*/
+const setup = function() {
+    const fake = clock.fake(new Date("2024-01-01T00:00:00Z"))
+    const runs = []
+    const instances = ["a", "b"].map(name => {
+        const cron = createScheduler({
+            timezone: "UTC",
+            clock: fake,
+            store: store.memory(),
+            lock: lock.memory(),
+            logger: {debug: silent, info: silent, warn: silent, error: silent}
+        })
+        cron.schedule({name: "backup", exclusive: true, catchUp: "once", handler: () => runs.push(name), timestamp: cron.every(1, "hours")})
+        return cron
+    })
+    return {clock: fake, runs, instances}
+}
+
+
+
+test("keeps the queues of schedulers apart", async () => {
+    const {clock, runs, instances: [a, b]} = setup()
+    a.schedule({name: "cleanup", handler: silent, timestamp: a.time(3)})
+    assert.deepStrictEqual([a.list().map(job => job.name), b.list().map(job => job.name)], [["backup", "cleanup"], ["backup"]])
+    assert.strictEqual(doncron.queue.length, 0)
+    b.deactivate()
+    await clock.advance("1 hour")
+    assert.deepStrictEqual(runs, ["a"])
+    a.unschedule("*")
+    assert.strictEqual(b.queue.length, 1)
+    b.unschedule("*")
+})
+
+
+
+test("keeps the settings of schedulers apart", () => {
+    const {instances: [a, b]} = setup()
+    a.common_settings.locale = "de"
+    a.common_settings.strict = false
+    assert.deepStrictEqual([b.common_settings.locale, b.common_settings.strict], ["en", true])
+    assert.notStrictEqual(doncron.common_settings.locale, "de")
+    assert.strictEqual(String(a.time(25)), "0 0 23 * * *") // the helpers follow the settings of their own scheduler
+    assert.throws(() => b.time(25), /understand hour '25'/)
+    assert.deepStrictEqual([a.describe(a.time(7, 30)), b.describe(b.time(7, 30))], ["um 07:30 täglich", "at 07:30 every day"])
+    for(const cron of [a, b]) cron.unschedule("*")
+})
+
+
+
+test("keeps the locks, stores and events of schedulers apart", async () => {
+    const {clock, runs, instances: [a, b]} = setup()
+    const events = []
+    a.on("success", state => events.push(`a: ${state.name}`))
+    b.on("success", state => events.push(`b: ${state.name}`))
+    assert.notStrictEqual(a.common_settings.lock, b.common_settings.lock)
+    await a.common_settings.store.set("backup", new Date("2023-12-31T00:00:00Z")) // only a has missed runs
+    await b.common_settings.store.set("backup", new Date("2024-01-01T00:00:00Z"))
+    for(const cron of [a, b]) cron.activate()
+    await new Promise(resolve => setImmediate(resolve))
+    assert.deepStrictEqual(runs, ["a"])
+    await clock.advance("1 hour")
+    assert.deepStrictEqual(runs.slice(1).sort(), ["a", "b"]) // each lock only knows its own scheduler's runs
+    assert.deepStrictEqual(events.sort(), ["a: backup", "a: backup", "b: backup"])
+    assert.deepStrictEqual(await a.common_settings.store.get("backup"), new Date("2024-01-01T01:00:00Z"))
+    assert.deepStrictEqual(await b.common_settings.store.get("backup"), new Date("2024-01-01T01:00:00Z"))
+    for(const cron of [a, b]) cron.unschedule("*")
+})
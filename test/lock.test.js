@@ -0,0 +1,104 @@
+/*
+    These tests cover exclusive jobs and their lock backends (see lock.js), with two schedulers in place of two instances
+*/
+
+const test = require("node:test")
+const assert = require("node:assert")
+const {runner} = require("../runner")
+const {createScheduler, clock, store, lock} = require("../index")
+const path = require("path")
+const fs = require("fs")
+const os = require("os")
+
+
+
+const silent = () => {}
+
+
+
+const setup = function(fake, settings = {}) {
+    return createScheduler({
+        timezone: "UTC",
+        clock: fake,
+        store: store.memory(),
+        logger: {debug: silent, info: silent, warn: silent, error: silent},
+        ...settings
+    })
+}
+
+
+
+test("acquires a memory lock only once until it expires", async () => {
+    const locks = lock.memory()
+    assert.strictEqual(await locks.acquire("backup@2024-01-01T03:00:00.000Z"), true)
+    assert.strictEqual(await locks.acquire("backup@2024-01-01T03:00:00.000Z"), false)
+    assert.strictEqual(await locks.acquire("backup@2024-01-02T03:00:00.000Z"), true)
+    const expiring = lock.memory({ttl: 0})
+    assert.strictEqual(await expiring.acquire("backup"), true)
+    assert.strictEqual(await expiring.acquire("backup"), true)
+})
+
+
+
+test("acquires a file lock only once across backends that share the directory", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "doncron-"))
+    try {
+        const first = lock.file(directory)
+        const second = lock.file(directory)
+        const results = await Promise.all([first.acquire("backup@2024-01-01T03:00:00.000Z"), second.acquire("backup@2024-01-01T03:00:00.000Z")])
+        assert.deepStrictEqual(results.sort(), [false, true])
+        assert.strictEqual(await second.acquire("backup@2024-01-02T03:00:00.000Z"), true)
+        assert.strictEqual(fs.readdirSync(directory).filter(filename => filename.endsWith(".lock")).length, 2)
+    } finally {
+        fs.rmSync(directory, {recursive: true, force: true})
+    }
+})
+
+
+
+test("runs every occurrence of an exclusive job on only one of the instances", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "doncron-"))
+    const fake = clock.fake(new Date("2024-01-01T00:00:00Z"))
+    const runs = []
+    const instances = ["a", "b"].map(name => {
+        const cron = setup(fake, {lock: lock.file(directory)})
+        cron.schedule({name: "backup", exclusive: true, handler: () => runs.push(name), timestamp: cron.every(1, "hours")}).activate()
+        return cron
+    })
+    try {
+        for(let hour = 0; hour < 3; hour++) {
+            await fake.advance("1 hour")
+            await new Promise(resolve => setTimeout(resolve, 50)) // the file system is real, unlike the clock
+        }
+        assert.strictEqual(runs.length, 3)
+    } finally {
+        for(const cron of instances) cron.unschedule("*")
+        fs.rmSync(directory, {recursive: true, force: true})
+    }
+})
+
+
+
+test("rejects exclusive jobs unless a lock backend has been chosen", () => {
+    const cron = setup(clock.fake(new Date("2024-01-01T00:00:00Z")))
+    assert.throws(() => cron.schedule({name: "backup", exclusive: true, handler: silent, timestamp: cron.time(3)}), /exclusive but has no lock backend/)
+    cron.schedule({name: "backup", exclusive: true, lock: lock.memory(), handler: silent, timestamp: cron.time(3)})
+    assert.strictEqual(cron.queue.length, 1)
+    cron.unschedule("*")
+})
+
+
+
+test("doesn't take the lock for a run that is skipped because the previous one is still going", async () => {
+    const fake = clock.fake(new Date("2024-01-01T00:00:00Z"))
+    const locks = lock.memory()
+    const date = new Date("2024-01-01T01:00:00Z")
+    const busy = runner("backup", () => new Promise(resolve => fake.setTimeout(resolve, 60000)), {exclusive: true, lock: locks, clock: fake})
+    const idle = runner("backup", () => "done", {exclusive: true, lock: locks, clock: fake})
+    const first = busy({date: new Date("2024-01-01T00:00:00Z")})
+    await fake.advance("1 second") // the first run holds the lock of its own occurrence and keeps going
+    await assert.rejects(busy({date}), error => error.skipped === "running")
+    assert.strictEqual(await idle({date}), "done") // the other instance can still run that occurrence
+    await fake.advance("1 minute")
+    await first
+})
@@ -0,0 +1,89 @@
+/*
+    These tests cover the structured log entries of the scheduler and which logger they go to
+*/
+
+const test = require("node:test")
+const assert = require("node:assert")
+const {createScheduler, clock, store} = require("../index")
+
+
+
+/*
+    Create a logger that collects its entries along with their levels
+*/
+const collect = function() {
+    const entries = []
+    const logger = Object.fromEntries(["debug", "info", "warn", "error"].map(level => [level, entry => entries.push({level, ...entry})]))
+    return {logger, entries}
+}
+
+
+
+const setup = function(logger) {
+    const fake = clock.fake(new Date("2024-01-01T00:00:00Z"))
+    return {clock: fake, cron: createScheduler({timezone: "UTC", clock: fake, store: store.memory(), logger})}
+}
+
+
+
+test("passes structured entries to a custom logger", async () => {
+    const {logger, entries} = collect()
+    const {cron, clock} = setup(logger)
+    cron.schedule({name: "backup", handler: () => {throw new Error("disk full")}, timestamp: cron.every(1, "hours")}).activate()
+    await clock.advance("1 hour")
+    const pick = (event, ...fields) => {
+        const entry = entries.find(entry => entry.event === event && entry.job !== undefined) // not the ones about all tasks
+        return Object.fromEntries(["level", "message", "event", ...fields, "pid", "instance"].map(field => [field, entry[field]]))
+    }
+    assert.deepStrictEqual(pick("activate", "job", "name", "timer"), {
+        level: "info",
+        message: "Scheduler activated the task",
+        event: "activate",
+        job: "backup",
+        name: "backup",
+        timer: "0 0 * * * *",
+        pid: process.pid,
+        instance: process.env.name // e.g. the name of a PM2 instance
+    })
+    assert.deepStrictEqual(pick("start", "job", "date"), {
+        level: "debug",
+        message: "Scheduler started a run of the task",
+        event: "start",
+        job: "backup",
+        date: new Date("2024-01-01T01:00:00Z"),
+        pid: process.pid,
+        instance: process.env.name
+    })
+    const failure = entries.find(entry => entry.event === "error")
+    assert.strictEqual(failure.level, "error")
+    assert.strictEqual(failure.error.message, "disk full")
+    cron.unschedule("*")
+})
+
+
+
+test("lets the logger of a job override the common one", async () => {
+    const common = collect()
+    const own = collect()
+    const {cron, clock} = setup(common.logger)
+    cron.schedule({name: "backup", logger: own.logger, handler: () => {}, timestamp: cron.every(1, "hours")}).activate()
+    cron.schedule({name: "cleanup", handler: () => {}, timestamp: cron.every(1, "hours")}).activate()
+    await clock.advance("1 hour")
+    const jobs = entries => entries.filter(entry => entry.name !== undefined).map(entry => entry.name)
+    assert.ok(jobs(own.entries).length > 0 && jobs(own.entries).every(name => name === "backup"))
+    assert.ok(jobs(common.entries).length > 0 && jobs(common.entries).every(name => name === "cleanup"))
+    assert.ok(own.entries.some(entry => entry.event === "start") && own.entries.some(entry => entry.event === "success"))
+    cron.unschedule("*")
+})
+
+
+
+test("keeps running the jobs when the logger throws", async () => {
+    const broken = () => {throw new Error("logger down")}
+    const {cron, clock} = setup({debug: broken, info: broken, warn: broken, error: broken})
+    const runs = []
+    cron.schedule({name: "backup", handler: () => runs.push(clock.now().toISOString()), timestamp: cron.every(1, "hours")}).activate()
+    await clock.advance("2 hours")
+    assert.deepStrictEqual(runs, ["2024-01-01T01:00:00.000Z", "2024-01-01T02:00:00.000Z"])
+    cron.unschedule("*")
+})
@@ -0,0 +1,122 @@
+/*
+    These tests cover the management of the queue: unschedule(), reschedule(), pause(), resume() and the names they take
+*/
+
+const test = require("node:test")
+const assert = require("node:assert")
+const {createScheduler, clock, store} = require("../index")
+
+
+
+const silent = () => {}
+
+
+
+/*
+    Create a scheduler on a fake clock and collect the runs of its jobs as 'name@hour'
+*/
+const setup = function() {
+    const fake = clock.fake(new Date("2024-01-01T00:00:00Z"))
+    const cron = createScheduler({
+        timezone: "UTC",
+        clock: fake,
+        store: store.memory(),
+        logger: {debug: silent, info: silent, warn: silent, error: silent}
+    })
+    const runs = []
+    const handler = name => () => runs.push(`${name}@${fake.now().toISOString().slice(11, 13)}`)
+    return {cron, clock: fake, runs, handler}
+}
+
+
+
+test("selects jobs by their exact name, or by a name with wildcards", () => {
+    const {cron, handler} = setup()
+    for(const name of ["backup", "backup-logs", "cleanup"]) {
+        cron.schedule({name, handler: handler(name), timestamp: cron.every(1, "hours")})
+    }
+    const paused = () => cron.list().filter(job => job.paused).map(job => job.name)
+    cron.pause("backup")
+    assert.deepStrictEqual(paused(), ["backup"])
+    cron.resume("*")
+    cron.pause("backup*")
+    assert.deepStrictEqual(paused(), ["backup", "backup-logs"])
+    cron.resume("*")
+    cron.pause("?leanup")
+    assert.deepStrictEqual(paused(), ["cleanup"])
+    cron.unschedule("backup")
+    assert.deepStrictEqual(cron.list().map(job => job.name), ["backup-logs", "cleanup"])
+    cron.unschedule("*")
+})
+
+
+
+test("unschedules a job with all of its timers for good", async () => {
+    const {cron, clock, runs, handler} = setup()
+    cron.schedule({name: "report", handler: handler("report"), timestamp: [cron.time(7, 0), cron.time(9, 30)]}).activate()
+    assert.strictEqual(cron.queue.length, 2)
+    cron.unschedule("report")
+    assert.strictEqual(cron.queue.length, 0)
+    await clock.advance("1 day")
+    assert.deepStrictEqual(runs, [])
+    cron.schedule({name: "report", handler: silent, timestamp: cron.time(7, 0)}) // the name is free again
+    assert.throws(() => cron.unschedule(), /without a name! Use '\*'/)
+    cron.unschedule("*")
+})
+
+
+
+test("rejects a second job with the same name", () => {
+    const {cron} = setup()
+    cron.schedule({name: "backup", handler: silent, timestamp: cron.time(3)})
+    assert.throws(() => cron.schedule({name: "backup", handler: silent, timestamp: cron.time(4)}), /already a task with the same name \(use reschedule\(\) to change it\)/)
+    assert.deepStrictEqual(cron.list().map(job => job.timers), [["0 0 3 * * *"]])
+    cron.unschedule("*")
+})
+
+
+
+test("reschedules a job and keeps its state and whether it's active", async () => {
+    const {cron, clock, runs, handler} = setup()
+    cron.schedule({name: "backup", handler: handler("backup"), timestamp: cron.every(1, "hours")}).activate()
+    cron.schedule({name: "backup-logs", handler: handler("backup-logs"), timestamp: cron.every(1, "hours")}).deactivate("backup-logs")
+    await clock.advance("1 hour")
+    cron.reschedule("backup", cron.every(2, "hours"))
+    cron.reschedule("backup-logs", cron.every(3, "hours"))
+    assert.deepStrictEqual(cron.list().map(job => [job.name, job.timers, job.active]), [
+        ["backup", ["0 0 */2 * * *"], true],
+        ["backup-logs", ["0 0 */3 * * *"], false]
+    ])
+    await clock.advance("3 hours")
+    assert.deepStrictEqual(runs, ["backup@01", "backup@02", "backup@04"])
+    assert.strictEqual(cron.status("backup").runs, 3)
+    cron.unschedule("*")
+})
+
+
+
+test("keeps the old job when rescheduling fails", async () => {
+    const {cron, clock, runs, handler} = setup()
+    cron.schedule({name: "backup", handler: handler("backup"), timestamp: cron.every(1, "hours")}).activate()
+    assert.throws(() => cron.reschedule("backup", "0 0 0 30 2 *"), /would never fire/)
+    assert.throws(() => cron.reschedule("backup*", cron.time(3)), /reschedule unknown task 'backup\*'/)
+    assert.deepStrictEqual(cron.list().map(job => [job.name, job.timers, job.active]), [["backup", ["0 0 * * * *"], true]])
+    await clock.advance("1 hour")
+    assert.deepStrictEqual(runs, ["backup@01"])
+    cron.unschedule("*")
+})
+
+
+
+test("skips the runs of a paused job and doesn't catch up on them when it's resumed", async () => {
+    const {cron, clock, runs, handler} = setup()
+    cron.schedule({name: "backup", handler: handler("backup"), timestamp: cron.every(1, "hours")}).activate()
+    cron.pause("backup")
+    await clock.advance("2 hours")
+    assert.deepStrictEqual(runs, [])
+    assert.strictEqual(cron.list()[0].active, true) // the timers keep running
+    cron.resume("backup")
+    await clock.advance("1 hour")
+    assert.deepStrictEqual(runs, ["backup@03"])
+    cron.unschedule("*")
+})
@@ -0,0 +1,103 @@
+/*
+    These tests cover what a cronjob timer can't express: lastDay(), nth() and the exclude option of schedule()
+*/
+
+const test = require("node:test")
+const assert = require("node:assert")
+const {createScheduler, clock, store} = require("../index")
+
+
+
+const silent = () => {}
+
+
+
+const setup = function(start) {
+    const fake = clock.fake(new Date(start))
+    const errors = []
+    const cron = createScheduler({
+        timezone: "UTC",
+        clock: fake,
+        store: store.memory(),
+        logger: {debug: silent, info: silent, warn: silent, error: entry => errors.push(entry)}
+    })
+    const runs = []
+    const handler = function() {
+        runs.push(fake.now().toISOString().slice(0, 10))
+    }
+    return {cron, clock: fake, runs, handler, errors}
+}
+
+
+
+test("still checks the rules when the exclude function throws", async () => {
+    const {cron, clock, runs, handler, errors} = setup("2024-01-27T00:00:00Z")
+    const exclude = () => {throw new Error("holiday API is down")}
+    cron.schedule({name: "invoices", handler, exclude, timestamp: [cron.lastDay(), cron.time(9)]})
+    await clock.advance("5 weeks")
+    assert.deepStrictEqual(runs, ["2024-01-31", "2024-02-29"])
+    assert.ok(errors.some(entry => entry.event === "exclude" && entry.error.message === "holiday API is down"))
+    assert.deepStrictEqual(cron.next([cron.lastDay(), cron.time(9)], {count: 2, exclude, from: clock.now()}).map(date => date.toISOString().slice(0, 10)), ["2024-03-31", "2024-04-30"])
+    cron.unschedule("*")
+})
+
+
+
+test("runs on the last day of every month, including leap years", async () => {
+    const {cron, clock, runs, handler} = setup("2024-01-01T00:00:00Z")
+    cron.schedule({name: "invoices", handler, timestamp: [cron.time(18, 0), cron.lastDay()]})
+    await clock.advance("13 weeks")
+    assert.deepStrictEqual(runs, ["2024-01-31", "2024-02-29", "2024-03-31"])
+    assert.deepStrictEqual(cron.next([cron.time(18, 0), cron.lastDay("feb")], {count: 2, from: new Date("2025-01-01T00:00:00Z")}).map(date => date.toISOString()), [
+        "2025-02-28T18:00:00.000Z",
+        "2026-02-28T18:00:00.000Z"
+    ])
+    cron.unschedule("*")
+})
+
+
+
+test("runs on the nth weekday of the month", async () => {
+    const {cron, clock, runs, handler} = setup("2024-01-01T00:00:00Z")
+    cron.schedule({name: "first monday", handler, timestamp: [cron.time(9), cron.nth(1, "monday")]})
+    await clock.advance("9 weeks")
+    assert.deepStrictEqual(runs, ["2024-01-01", "2024-02-05"])
+    const preview = (...timestamp) => cron.next(timestamp, {count: 3, from: new Date("2024-01-01T00:00:00Z")}).map(date => date.toISOString().slice(0, 10))
+    assert.deepStrictEqual(preview(cron.time(9), cron.nth(2, "tue", "jan-mar")), ["2024-01-09", "2024-02-13", "2024-03-12"])
+    assert.deepStrictEqual(preview(cron.time(9), cron.nth(-1, "friday")), ["2024-01-26", "2024-02-23", "2024-03-29"])
+    assert.deepStrictEqual(preview(cron.time(9), cron.nth(5, "thursday")), ["2024-02-29", "2024-05-30", "2024-08-29"]) // months without a 5th thursday are left out
+    cron.unschedule("*")
+})
+
+
+
+test("leaves out the excluded days, given as dates, yearly days or Date objects", async () => {
+    const {cron, clock, runs, handler} = setup("2024-12-23T00:00:00Z")
+    const exclude = ["2024-12-24", "12-25", new Date("2024-12-26T12:00:00Z")]
+    cron.schedule({name: "daily report", handler, exclude, timestamp: cron.time(9)})
+    await clock.advance("5 days")
+    assert.deepStrictEqual(runs, ["2024-12-23", "2024-12-27"])
+    const preview = cron.next(cron.time(9), {count: 3, exclude, from: new Date("2025-12-23T00:00:00Z")}).map(date => date.toISOString().slice(0, 10))
+    assert.deepStrictEqual(preview, ["2025-12-23", "2025-12-24", "2025-12-26"]) // only '12-25' repeats every year
+    cron.unschedule("*")
+})
+
+
+
+test("leaves out the days for which the exclude function returns true", async () => {
+    const {cron, clock, runs, handler} = setup("2024-01-01T00:00:00Z")
+    const weekend = date => date.getUTCDay() === 0 || date.getUTCDay() === 6
+    cron.schedule({name: "workdays", handler, exclude: weekend, timestamp: cron.time(9)})
+    await clock.advance("1 week")
+    assert.deepStrictEqual(runs, ["2024-01-01", "2024-01-02", "2024-01-03", "2024-01-04", "2024-01-05"])
+    assert.strictEqual(cron.list()[0].next.toISOString(), "2024-01-08T09:00:00.000Z")
+    cron.unschedule("*")
+})
+
+
+
+test("rejects excluded days that aren't days", () => {
+    const {cron, handler} = setup("2024-01-01T00:00:00Z")
+    assert.throws(() => cron.schedule({name: "broken", handler, exclude: ["christmas"], timestamp: cron.time(9)}), /isn't a day like '2024-12-25'/)
+    assert.strictEqual(cron.queue.length, 0)
+})
@@ -0,0 +1,148 @@
+/*
+    These tests cover the wrapper around the handlers of the jobs: overlapping runs, timeouts and retries
+*/
+
+const test = require("node:test")
+const assert = require("node:assert")
+const {runner} = require("../runner")
+const {createScheduler, clock, store} = require("../index")
+
+
+
+const silent = () => {}
+
+
+
+/*
+    Create a handler that takes the given time on the fake clock and ignores its AbortSignal
+*/
+const slow = function(fake, ms, log, result = "done") {
+    return function() {
+        log.push(`begin ${fake.now().toISOString().slice(11, 19)}`)
+        return new Promise(resolve => fake.setTimeout(() => {
+            log.push(`end ${fake.now().toISOString().slice(11, 19)}`)
+            resolve(result)
+        }, ms))
+    }
+}
+
+
+
+test("fails a run that takes too long and aborts its signal", async () => {
+    const fake = clock.fake(new Date("2024-01-01T00:00:00Z"))
+    const events = []
+    let signal
+    const run = runner("slow", given => {
+        signal = given
+        return new Promise(() => {})
+    }, {timeout: 1000, clock: fake}, event => events.push(event))
+    const pending = assert.rejects(run(), /didn't finish within 1000ms/)
+    await fake.advance("1 second")
+    await pending
+    assert.strictEqual(signal.aborted, true)
+    assert.deepStrictEqual(events, ["start", "error"])
+})
+
+
+
+test("waits for a handler that ignored the timeout before running it again", async () => {
+    const fake = clock.fake(new Date("2024-01-01T00:00:00Z"))
+    const log = []
+    const run = runner("stubborn", slow(fake, 5000, log), {timeout: 1000, clock: fake})
+    const first = run().catch(error => error.message)
+    await fake.advance("2 seconds")
+    assert.match(await first, /didn't finish within 1000ms/)
+    await assert.rejects(run(), error => error.skipped === "running") // the handler is still busy
+    await fake.advance("3 seconds")
+    const second = run().catch(error => error.message)
+    await fake.advance("5 seconds")
+    await second
+    assert.deepStrictEqual(log, ["begin 00:00:00", "end 00:00:05", "begin 00:00:05", "end 00:00:10"]) // never overlapping
+})
+
+
+
+test("retries a failing handler with a backoff in between", async () => {
+    const fake = clock.fake(new Date("2024-01-01T00:00:00Z"))
+    const events = []
+    const times = []
+    const run = runner("flaky", () => {
+        times.push(fake.now().getTime() / 1000)
+        if(times.length < 3) throw new Error(`failure no.${times.length}`)
+        return "fixed"
+    }, {retry: {attempts: 3, backoff: count => count * 1000}, clock: fake}, (event, detail) => events.push(detail instanceof Error ? `${event}: ${detail.message}` : event))
+    const result = run()
+    await fake.advance("5 seconds")
+    assert.strictEqual(await result, "fixed")
+    assert.deepStrictEqual(times.map(time => time - times[0]), [0, 1, 3])
+    assert.deepStrictEqual(events, ["start", "retry: failure no.1", "retry: failure no.2", "success"])
+})
+
+
+
+test("fails a run and reports it when its backoff function throws", async () => {
+    const fake = clock.fake(new Date("2024-01-01T00:00:00Z"))
+    const cron = createScheduler({timezone: "UTC", clock: fake, store: store.memory(), logger: {debug: silent, info: silent, warn: silent, error: silent}})
+    const errors = []
+    cron.on("error", state => errors.push(state.error.message))
+    const backoff = () => {throw new Error("broken backoff")}
+    cron.schedule({name: "flaky", handler: () => {throw new Error("boom")}, retry: {attempts: 3, backoff}, timestamp: cron.every(1, "hours")})
+    await assert.rejects(cron.run("flaky"), /broken backoff/)
+    assert.deepStrictEqual(errors, ["broken backoff"])
+    assert.strictEqual(cron.status("flaky").running, 0)
+    await assert.rejects(cron.run("flaky"), /broken backoff/) // not skipped, it isn't running anymore
+    cron.unschedule("*")
+})
+
+
+
+test("queues runs one after the other and keeps going after a failed one", async () => {
+    const fake = clock.fake(new Date("2024-01-01T00:00:00Z"))
+    const log = []
+    let count = 0
+    const work = slow(fake, 1000, log)
+    const run = runner("queued", () => {
+        if(++count === 2) throw new Error("the second run fails")
+        return work()
+    }, {concurrency: "queue", clock: fake})
+    const runs = [run(), run().catch(error => error.message), run()]
+    await fake.advance("5 seconds")
+    assert.deepStrictEqual(await Promise.all(runs), ["done", "the second run fails", "done"])
+    assert.deepStrictEqual(log, ["begin 00:00:00", "end 00:00:01", "begin 00:00:01", "end 00:00:02"])
+})
+
+
+
+test("runs in parallel, or skips while the previous run is still going", async () => {
+    const fake = clock.fake(new Date("2024-01-01T00:00:00Z"))
+    const parallel = []
+    const twice = runner("parallel", slow(fake, 1000, parallel), {concurrency: "parallel", clock: fake})
+    const both = [twice(), twice()]
+    await fake.advance("1 second")
+    await Promise.all(both)
+    assert.deepStrictEqual(parallel, ["begin 00:00:00", "begin 00:00:00", "end 00:00:01", "end 00:00:01"])
+    const skipped = []
+    const run = runner("skip", slow(fake, 1000, []), {clock: fake}, (event, detail) => event === "skip" && skipped.push(detail))
+    const first = run()
+    await assert.rejects(run(), /hasn't finished yet/)
+    await fake.advance("1 second")
+    assert.strictEqual(await first, "done")
+    assert.deepStrictEqual(skipped, ["running"])
+})
+
+
+
+test("retries and queues only after a handler that ignored the timeout has stopped", async () => {
+    const fake = clock.fake(new Date("2024-01-01T00:00:00Z"))
+    const log = []
+    const run = runner("stubborn", slow(fake, 3000, log), {timeout: 1000, retry: {attempts: 2}, concurrency: "queue", clock: fake})
+    const runs = [run().catch(error => error.message), run().catch(error => error.message)]
+    await fake.advance("15 seconds")
+    assert.ok((await Promise.all(runs)).every(message => /didn't finish within 1000ms/.test(message)))
+    assert.deepStrictEqual(log, [
+        "begin 00:00:00", "end 00:00:03", // first run
+        "begin 00:00:03", "end 00:00:06", // its retry
+        "begin 00:00:06", "end 00:00:09", // the queued run
+        "begin 00:00:09", "end 00:00:12"
+    ])
+})
@@ -0,0 +1,239 @@
+/*
+    These tests run the scheduler on a fake clock (see clock.js), so that days of cronjobs pass within milliseconds
+    Run them with `npm test`, which uses the test runner that comes with NodeJS.
+*/
+
+const test = require("node:test")
+const assert = require("node:assert")
+const {createScheduler, clock, store} = require("../index")
+
+
+
+const silent = () => {}
+
+
+
+/*
+    Create a scheduler on a fake clock that starts at the given time and collect the runs of its jobs
+*/
+const setup = function(start, timezone = "Europe/Berlin") {
+    const fake = clock.fake(new Date(start))
+    const cron = createScheduler({
+        timezone,
+        clock: fake,
+        store: store.memory(),
+        logger: {debug: silent, info: silent, warn: silent, error: silent}
+    })
+    const runs = []
+    const handler = function() {
+        runs.push(fake.now().toISOString())
+    }
+    return {cron, clock: fake, runs, handler}
+}
+
+
+
+test("runs in both passes of the hour that's repeated when daylight saving time ends", async () => {
+    const {cron, clock, runs, handler} = setup("2024-10-26T23:59:59Z") // 01:59:59 CEST
+    cron.schedule({name: "every quarter hour", handler, timestamp: cron.every(15, "minutes")})
+    await clock.advance("2 hours")
+    assert.deepStrictEqual(runs, [
+        "2024-10-27T00:00:00.000Z", // 02:00 CEST
+        "2024-10-27T00:15:00.000Z",
+        "2024-10-27T00:30:00.000Z",
+        "2024-10-27T00:45:00.000Z",
+        "2024-10-27T01:00:00.000Z", // 02:00 CET
+        "2024-10-27T01:15:00.000Z",
+        "2024-10-27T01:30:00.000Z",
+        "2024-10-27T01:45:00.000Z"
+    ])
+    cron.unschedule("*")
+})
+
+
+
+test("previews every minute of the repeated hour", () => {
+    const {cron} = setup("2024-10-27T00:00:00Z")
+    const runs = cron.next(cron.every(1, "minutes"), {count: 200, from: new Date("2024-10-26T23:59:59Z")})
+        .filter(date => date < new Date("2024-10-27T02:00:00Z"))
+    assert.strictEqual(runs.length, 120)
+    assert.ok(runs.every((date, index) => index < 1 || date - runs[index - 1] === 60000))
+})
+
+
+
+test("keeps finding the second pass when it starts within the first one", () => {
+    const {cron} = setup("2024-10-27T00:20:00Z")
+    const runs = cron.next(cron.every(1, "hours"), {count: 3, from: new Date("2024-10-27T00:20:00Z")}) // 02:20 CEST
+    assert.deepStrictEqual(runs.map(date => date.toISOString()), [
+        "2024-10-27T01:00:00.000Z", // 02:00 CET
+        "2024-10-27T02:00:00.000Z",
+        "2024-10-27T03:00:00.000Z"
+    ])
+})
+
+
+
+test("skips the wall clock times that don't exist when daylight saving time starts", async () => {
+    const {cron, clock, runs, handler} = setup("2024-03-30T00:00:00Z")
+    cron.schedule({name: "half past two", handler, timestamp: cron.time(2, 30)})
+    cron.schedule({name: "hourly", handler: silent, timestamp: cron.every(1, "hours")})
+    assert.deepStrictEqual(cron.queue.find(job => job.name === "hourly").nextRuns(3).map(date => date.toISOString()), [
+        "2024-03-30T01:00:00.000Z",
+        "2024-03-30T02:00:00.000Z",
+        "2024-03-30T03:00:00.000Z"
+    ])
+    await clock.advance("3 days")
+    assert.deepStrictEqual(runs, [
+        "2024-03-30T01:30:00.000Z", // 02:30 CET
+        "2024-04-01T00:30:00.000Z" // 02:30 CEST, there was no 02:30 on the 31st
+    ])
+    const hours = cron.next(cron.every(1, "hours"), {count: 3, from: new Date("2024-03-30T23:30:00Z")})
+    assert.deepStrictEqual(hours.map(date => date.toISOString()), [
+        "2024-03-31T00:00:00.000Z", // 01:00 CET
+        "2024-03-31T01:00:00.000Z", // 03:00 CEST
+        "2024-03-31T02:00:00.000Z"
+    ])
+    cron.unschedule("*")
+})
+
+
+
+test("runs when either the day of month or the day of week matches", async () => {
+    const {cron, clock, runs, handler} = setup("2024-09-01T00:00:00Z", "UTC")
+    cron.schedule({name: "first of the month and mondays", handler, timestamp: [cron.time(9, 0), cron.month(1), cron.weekday("monday")]})
+    await clock.advance("5 weeks")
+    assert.deepStrictEqual(runs, [
+        "2024-09-01T09:00:00.000Z", // sunday, the 1st
+        "2024-09-02T09:00:00.000Z",
+        "2024-09-09T09:00:00.000Z",
+        "2024-09-16T09:00:00.000Z",
+        "2024-09-23T09:00:00.000Z",
+        "2024-09-30T09:00:00.000Z",
+        "2024-10-01T09:00:00.000Z" // tuesday, the 1st
+    ])
+    cron.unschedule("*")
+})
+
+
+
+test("narrows down the times with ranges of hours, but rejects ranges of weekdays and months", () => {
+    const {cron} = setup("2024-01-01T00:00:00Z", "UTC")
+    assert.deepStrictEqual(cron.join(cron.every(30, "minutes"), cron.between(9, 10)).map(String), ["0 0,30 9,10 * * *"])
+    assert.deepStrictEqual(cron.join(cron.time(8), cron.time(12), cron.between(9, 17)).map(String), ["0 0 12 * * *"])
+    assert.throws(() => cron.between("nov", "feb"), /Use month\(day, 'nov-feb'\) instead/)
+    assert.throws(() => cron.between("mon", "fri"), /Use weekday\('mon-fri'\) instead/)
+    assert.deepStrictEqual(cron.join(cron.time(9), cron.month(1, "nov-feb")).map(String), ["0 0 9 1 1,2,11,12 *"])
+    cron.common_settings.strict = false
+    assert.deepStrictEqual(cron.join(cron.time(9), cron.between("mon", "fri")).map(String), ["0 0 9 * * 1-5"]) // like older versions did
+})
+
+
+
+test("verifies that combined timestamps keep their schedule", () => {
+    const {cron} = setup("2024-01-01T00:00:00Z", "UTC")
+    const from = new Date("2024-01-01T00:00:00Z")
+    assert.strictEqual(cron.verify([cron.time(9, 30), cron.time(7, 0)], cron.join(cron.time(9, 30), cron.time(7, 0)), {from}), true)
+    assert.strictEqual(cron.verify([cron.time(9, 30), cron.time(7, 0)], ["0 0,30 7,9 * * *"], {from}), false)
+    assert.strictEqual(cron.verify([cron.time(9, 0), cron.month(1), cron.weekday("monday")], ["0 0 9 1 * 1"], {from}), true)
+})
+
+
+
+test("verifies handwritten timers against the timestamps they should stand for", () => {
+    const {cron} = setup("2024-01-01T00:00:00Z", "UTC")
+    const from = new Date("2024-01-01T00:00:00Z")
+    assert.strictEqual(cron.verify([cron.every(15, "minutes"), cron.between(9, 17)], ["0 */15 9-17 * * *"], {from}), true)
+    assert.strictEqual(cron.verify([cron.every(15, "minutes"), cron.between(9, 17)], ["0 */15 * * * *"], {from}), false) // ignores the window
+    assert.strictEqual(cron.verify([cron.between(9, 17)], ["0 0 9-17 * * *"], {from}), true) // the window on its own runs hourly
+    assert.strictEqual(cron.verify([cron.month(1), cron.month(15)], ["0 0 0 1,15 * *"], {from}), true)
+    assert.strictEqual(cron.verify([cron.month(1, "jun"), cron.weekday("monday")], ["0 0 0 1 6 1"], {from}), true)
+    assert.strictEqual(cron.verify([cron.month(1, "jun"), cron.weekday("monday")], ["0 0 0 * 6 1"], {from}), false) // loses the 1st of june
+    assert.strictEqual(cron.verify([cron.time(7, 0)], ["0 0 7 * * *", "0 0 7 * * 1"], {from}), false) // mondays twice
+})
+
+
+
+test("never fires forbidden jobs on their own, but runs them when forced to", async () => {
+    const {cron, clock, runs, handler} = setup("2024-01-01T00:00:00Z", "UTC")
+    cron.schedule({name: "forbidden", allowed: false, autorun: true, handler, timestamp: cron.every(1, "hours")})
+    cron.activate()
+    await clock.advance("3 hours")
+    assert.deepStrictEqual(runs, [])
+    assert.strictEqual(cron.list()[0].active, false)
+    await cron.run("forbidden", {force: true})
+    assert.deepStrictEqual(runs, ["2024-01-01T03:00:00.000Z"])
+    cron.unschedule("*")
+})
+
+
+
+/*
+    Send a request to the admin interface, without a server in between, and resolve to its response
+*/
+const request = function(handler, method, url, next) {
+    return new Promise(resolve => {
+        const res = {
+            statusCode: 200,
+            headers: {},
+            headersSent: false,
+            setHeader: function(key, value) {this.headers[key] = value},
+            end: function(body) {
+                this.headersSent = true
+                resolve({status: this.statusCode, body: body === undefined ? undefined : JSON.parse(body)})
+            }
+        }
+        handler({method, url}, res, next)
+    })
+}
+
+
+
+test("checks every admin request before it answers", async () => {
+    const {cron, handler} = setup("2024-01-01T00:00:00Z", "UTC")
+    cron.schedule({name: "forbidden", allowed: false, handler, timestamp: cron.every(1, "hours")})
+    const deny = (req, res) => {res.statusCode = 401; res.end()}
+    const admin = cron.admin({auth: deny})
+    assert.strictEqual((await request(admin, "GET", "/nowhere")).status, 401)
+    assert.strictEqual((await request(admin, "GET", "/jobs/forbidden/stop")).status, 401)
+    const passed = await new Promise(resolve => admin({method: "GET", url: "/nowhere"}, {}, () => resolve(true)))
+    assert.strictEqual(passed, true) // other routes of an ExpressJS app are none of its business
+    const open = cron.admin({auth: (req, res, next) => next()})
+    assert.strictEqual((await request(open, "GET", "/nowhere")).status, 404)
+    assert.strictEqual((await request(open, "GET", "/jobs/forbidden/stop")).status, 405)
+    const started = await request(open, "POST", "/jobs/forbidden/start")
+    assert.strictEqual(started.body.active, false)
+    cron.unschedule("*")
+})
+
+
+
+test("rejects runs on demand that are skipped, instead of resolving to nothing", async () => {
+    const {cron, clock} = setup("2024-01-01T00:00:00Z", "UTC")
+    const handler = () => new Promise(resolve => clock.setTimeout(() => resolve("done"), 60000))
+    cron.schedule({name: "slow", handler, timestamp: cron.time(3, 0)})
+    const first = cron.run("slow")
+    await assert.rejects(cron.run("slow"), error => error.skipped === "running")
+    const response = await request(cron.admin({auth: (req, res, next) => next()}), "POST", "/jobs/slow/run")
+    assert.strictEqual(response.status, 409)
+    await clock.advance("1 minute")
+    assert.strictEqual(await first, "done")
+    cron.unschedule("*")
+})
+
+
+
+test("never writes to the state store in a dry run", async () => {
+    const {cron, clock, runs, handler} = setup("2024-01-01T00:00:00Z", "UTC")
+    const state = cron.store.memory()
+    cron.common_settings.dryRun = true
+    cron.schedule({name: "catching up", handler, catchUp: "all", store: state, timestamp: cron.every(1, "hours")})
+    cron.activate()
+    await clock.advance("3 hours")
+    assert.strictEqual(await state.get("catching up"), undefined)
+    await cron.run("catching up")
+    await clock.advance("1 second")
+    assert.strictEqual(await state.get("catching up"), undefined)
+    assert.strictEqual(runs.length, 1) // only the one on demand
+    cron.unschedule("*")
+})
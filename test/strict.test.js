@@ -0,0 +1,74 @@
+/*
+    These tests cover the strict checks of the helpers and of schedule(), and the forgiving fallback without them
+*/
+
+const test = require("node:test")
+const assert = require("node:assert")
+const {createScheduler, clock, store} = require("../index")
+
+
+
+const silent = () => {}
+const handler = () => {}
+
+
+
+const setup = function(strict = true) {
+    return createScheduler({
+        timezone: "UTC",
+        strict,
+        clock: clock.fake(new Date("2024-01-01T00:00:00Z")),
+        store: store.memory(),
+        logger: {debug: silent, info: silent, warn: silent, error: silent}
+    })
+}
+
+
+
+test("rejects input of the helpers that is out of range or misspelled", () => {
+    const cron = setup()
+    assert.throws(() => cron.time(25, 70), /understand hour '25' in time\(25, 70\)! Use a whole number from 0 to 23/)
+    assert.throws(() => cron.weekday("sundy"), /understand weekday 'sundy' in weekday\("sundy"\)/)
+    assert.throws(() => cron.month(1, "jnauary"), /jnauary/)
+    assert.throws(() => cron.month(31, "feb"), /there's no day 31 in February/)
+    assert.throws(() => cron.every(90, "minutes"), /understand interval '90' in every\(90, "minutes"\)! Use a whole number from 1 to 60/)
+})
+
+
+
+test("rejects timers that would never fire", () => {
+    const cron = setup()
+    assert.throws(() => cron.schedule({name: "never", handler, timestamp: "0 0 0 30 2 *"}), /timers '0 0 0 30 2 \*' would never fire/)
+    assert.throws(() => cron.schedule({name: "never", handler, timestamp: [cron.time(3), "0 0 0 31 4 *"]}), /would never fire/)
+    assert.throws(() => cron.schedule({name: "never", handler, timestamp: cron.month(25, "dec"), exclude: ["12-25"]}), /would never fire/)
+    assert.throws(() => cron.schedule({name: "never", handler, timestamp: cron.month(29, "feb"), exclude: ["02-29"]}), /would never fire/)
+    assert.strictEqual(cron.queue.length, 0)
+})
+
+
+
+test("collects all problems of a job into one error", () => {
+    const cron = setup()
+    assert.throws(() => cron.schedule({name: "broken", handler, concurrency: "sometimes", timeout: -1, timestamp: "0 0 0 30 2 *"}), error => {
+        assert.match(error.message, /^Scheduler couldn't setup task 'broken' because of 3 problems:\n/)
+        assert.match(error.message, /\n {4}- its concurrency 'sometimes' is unknown/)
+        assert.match(error.message, /\n {4}- its timeout '-1' is negative/)
+        assert.match(error.message, /\n {4}- its timers '0 0 0 30 2 \*' would never fire/)
+        return true
+    })
+    assert.strictEqual(cron.queue.length, 0)
+})
+
+
+
+test("falls back to the forgiving behaviour of older versions without strict mode", () => {
+    const cron = setup(false)
+    assert.strictEqual(String(cron.time(25, 70)), "0 59 23 * * *") // clamped
+    assert.strictEqual(String(cron.weekday("sundy")), "0 0 0 * * *") // ignored
+    assert.strictEqual(String(cron.month(1, "jnauary")), "0 0 0 1 * *")
+    assert.strictEqual(String(cron.month(31, "feb")), "0 0 0 31 2 *")
+    assert.strictEqual(String(cron.every(90, "minutes")), "0 0 * * * *")
+    cron.schedule({name: "never", handler, timestamp: "0 0 0 30 2 *"})
+    assert.deepStrictEqual(cron.list().map(job => job.timers), [["0 0 0 30 2 *"]])
+    cron.unschedule("*")
+})
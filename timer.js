@@ -0,0 +1,92 @@
+/*
+    This module replaces node-cron, which used to 'install' the cronjobs on the machine
+    It has the same interface, schedule() and validate(), but it's built on top of calendar.js and a clock (see clock.js).
+
+    Instead of checking the time every second, it calculates the next run of a timer and sleeps until then.
+    Because both, this module and next() in index.js, use the same calendar, the timers fire exactly
+    when next() says they do, including timezones, daylight saving time and days of month vs. days of week.
+*/
+
+const {check: type, assert} = require("type-approve")
+const {parse, upcoming} = require("./calendar")
+const clocks = require("./clock")
+
+
+
+const LONGEST = 2147483647 // setTimeout can't wait any longer than that (about 24.8 days), so longer waits are split up
+
+
+
+/*
+    Check if a timer string is valid, e.g. validate("0 30 7 * * 1-5")
+*/
+const validate = function(timer) {
+    try {
+        parse(timer)
+        return true
+    } catch(error) {
+        return false
+    }
+}
+
+
+
+/*
+    Call the handler whenever the timer is due and pass it the scheduled time of the run
+    Returns a task that can be started and stopped. Runs that are missed while the task is stopped
+    (or while the process is too busy to notice) are skipped, just like node-cron used to do.
+
+    Options:
+        scheduled       start the task right away (defaults to true)
+        timezone        the timezone in which the timer is evaluated (defaults to the local timezone)
+        clock           the clock to use (defaults to the system clock)
+        error           gets the errors that the handler throws, which would crash the process otherwise (defaults to ignoring them)
+*/
+const schedule = function(timer, handler, {scheduled = true, timezone, clock = clocks.system, error: report = () => {}} = {}) {
+    assert(validate(timer), `Scheduler couldn't schedule invalid timer '${timer}'!`)
+    assert(type({function: handler}), `Scheduler couldn't schedule timer '${timer}' without a handler function!`)
+    let handle = null
+    let due
+
+    const wait = function() {
+        const delay = due.getTime() - clock.now().getTime()
+        handle = clock.setTimeout(tick, Math.min(Math.max(delay, 0), LONGEST))
+    }
+
+    const plan = function(from) {
+        [due] = upcoming([timer], {from, timezone})
+        if(due === undefined) handle = null // the timer never fires again
+        else wait()
+    }
+
+    const tick = function() {
+        if(clock.now() < due) return wait() // the wait was too long for a single timeout
+        const date = due
+        const second = Math.floor(clock.now().getTime() / 1000) * 1000
+        plan(new Date(Math.max(date.getTime(), second - 1))) // skip what has been missed, but not the current second
+        try {
+            handler(date)
+        } catch(error) {
+            report(error) // the next run is already planned, so the timer keeps going
+        }
+    }
+
+    const task = {
+        start: function() {
+            if(handle === null) plan(clock.now())
+        },
+        stop: function() {
+            if(handle !== null) clock.clearTimeout(handle)
+            handle = null
+        }
+    }
+    if(scheduled) task.start()
+    return task
+}
+
+
+
+module.exports = {
+    validate,
+    schedule
+}
@@ -0,0 +1,174 @@
+/*
+    This module defines the Timestamp, which is what the helpers (time, weekday, month, ...) return
+
+    A Timestamp holds an explicit list of values for each slot of a cronjob timer (second, minute, hour, day, month, weekday).
+    In contrast to a timer string, each slot can also be left unspecified (undefined), which means
+    'I don't care about this slot, let something else decide'. This is what makes it possible to tell
+    time(0, 0) (a real midnight) apart from weekday("sunday") (no time of day at all).
+
+    A slot can hold:
+        undefined   unspecified, e.g. weekday() doesn't specify any hour
+        null        a wildcard (*), e.g. every hour
+        [values]    a sorted list of distinct values, e.g. [7, 9]
+
+    Timestamps only turn into cronjob timer strings at the very end, when they are handed over to the timer (see timer.js).
+
+    Some schedules can't be expressed by any timer string, e.g. the last day of the month or the 2nd tuesday of the month.
+    Their Timestamps carry a rule {nth, weekday, month} on top of the slots (see last_day() and nth() in index.js).
+    The slots then only hold the candidates (e.g. the days 28 to 31) and the rule is checked whenever the timer fires.
+*/
+
+const {check: type, assert} = require("type-approve")
+const {parse} = require("./calendar")
+
+
+
+const FIELDS = ["second", "minute", "hour", "day", "month", "weekday"]
+const BOUNDS = {second: [0, 59], minute: [0, 59], hour: [0, 23], day: [1, 31], month: [1, 12], weekday: [0, 6]}
+
+
+
+const range = function(min, max) {
+    return [...new Array(max - min + 1)].map((_, index) => min + index)
+}
+
+
+
+/*
+    Serialize a list of values back into a slot of a timer string
+    Lists that cover the whole range of the slot become a wildcard (*), regular steps from zero become a step value
+    and three or more consecutive values become a range 'a-b'
+    e.g.
+        slot([0, 15, 30, 45], "minute")     // every 15th minute, as a step value
+        slot([1, 2, 3, 4, 5], "weekday")    // '1-5'
+        slot([1, 2, 3, 7, 9], "day")        // '1-3,7,9'
+
+    NOTE
+        Whole ranges of days of month and days of week do NOT become wildcards, because '1-31' and '*' are NOT the same
+        if the other day slot is restricted too! (see the NOTE at the next() function in index.js)
+        Steps are only used if they start at zero, because some implementations (e.g. node-cron) interpret steps like '1-31/2'
+        as 'all values that are divisible by 2' instead of 'every second value starting from 1'.
+*/
+const slot = function(values, field) {
+    if(!type({array: values})) return "*"
+    const [min, max] = BOUNDS[field]
+    const wildcard = field !== "day" && field !== "weekday"
+    if(wildcard && values.join() === range(min, max).join()) return "*"
+    const step = values[1] - values[0]
+    const stepped = values.length > 2 && values.every((value, index) => value === index * step)
+    if(wildcard && min === 0 && stepped && values[values.length - 1] + step > max) return `*/${step}`
+    const output = []
+    for(let start = 0, end = 0; start < values.length; start = end + 1) {
+        for(end = start; values[end + 1] === values[end] + 1;) end++
+        if(end - start > 1) output.push(`${values[start]}-${values[end]}`)
+        else output.push(...values.slice(start, end + 1))
+    }
+    return output.join(",")
+}
+
+
+
+class Timestamp {
+    constructor(fields = {}) {
+        for(const field of FIELDS) {
+            const values = fields[field]
+            if(type({array: values})) {
+                const [min, max] = BOUNDS[field]
+                for(const value of values) {
+                    assert(
+                        type({integer: value}) && value >= min && value <= (field === "weekday" ? 7 : max),
+                        `Timestamp couldn't accept value '${value}' in the ${field} slot!`
+                    )
+                }
+                this[field] = values
+                    .map(value => field === "weekday" ? value % 7 : value) // 0 and 7 are both sunday
+                    .filter((value, index, self) => self.indexOf(value) === index)
+                    .sort((a, b) => a - b)
+            } else {
+                assert(values === undefined || values === null, `Timestamp couldn't accept '${values}' as the ${field} slot!`)
+                this[field] = values
+            }
+        }
+        if(fields.rule !== undefined) {
+            const {nth, weekday = null, month = null} = fields.rule
+            assert(
+                type({integer: nth}) && nth !== 0 && (weekday === null || (type({integer: weekday}) && weekday >= 0 && weekday <= 6)) && (month === null || type({array: month})),
+                `Timestamp couldn't accept rule '${JSON.stringify(fields.rule)}'!`
+            )
+            this.rule = Object.freeze({nth, weekday, month})
+        }
+        Object.freeze(this)
+    }
+
+
+    /*
+        Fill in the unspecified slots and return all of them, either as a list of values or as null (wildcard)
+        Unspecified time slots that are finer than the finest specified one default to 0
+        while the coarser ones become wildcards, just like one would expect from a cronjob:
+            {hour: [9]}         // 09:00:00 every day
+            {minute: [30]}      // every hour at half past
+            {}                  // every day at midnight
+        Unspecified days, months and weekdays always become wildcards.
+    */
+    resolve() {
+        const output = {}
+        const clock = ["second", "minute", "hour"]
+        const finest = clock.findIndex(field => this[field] !== undefined)
+        for(const [index, field] of clock.entries()) {
+            if(this[field] !== undefined) output[field] = this[field]
+            else output[field] = finest < 0 || index < finest ? [0] : null
+        }
+        for(const field of ["day", "month", "weekday"]) {
+            output[field] = this[field] === undefined ? null : this[field]
+        }
+        return output
+    }
+
+
+    /*
+        Serialize the Timestamp into a timer string that any cron implementation understands
+        e.g.
+            String(new Timestamp({hour: [7, 9], minute: [30]}))   // '0 30 7,9 * * *'
+    */
+    toString() {
+        const fields = this.resolve()
+        return FIELDS.map(field => slot(fields[field], field)).join(" ")
+    }
+
+
+    /*
+        Turn any timestamp input into a Timestamp
+        Timer strings (e.g. from older versions of this module or handwritten ones) are parsed into a Timestamp.
+        Wildcards of days, months and weekdays are considered unspecified. And so is the time of day '0 0 0'
+        if the timer restricts the date, because older versions of weekday() and month() used it as a placeholder.
+        e.g.
+            Timestamp.from("0 30 9 * * *")  // {second: [0], minute: [30], hour: [9]}
+            Timestamp.from("0 0 0 * * 1")   // {weekday: [1]}
+            Timestamp.from("0 0 0 * * *")   // {second: [0], minute: [0], hour: [0]}
+    */
+    static from(source) {
+        if(source instanceof Timestamp) return source
+        assert(type({string: source}), `Timestamp couldn't be created from '${source}'!`)
+        const {second, minute, hour, day, month, weekday} = parse(source)
+        const dated = day !== null || month !== null || weekday !== null
+        const placeholder = dated && [second, minute, hour].every(values => values !== null && values.join() === "0")
+        const undated = day === null && month === null
+        return new Timestamp({
+            second: placeholder ? undefined : second,
+            minute: placeholder ? undefined : minute,
+            hour: placeholder ? undefined : hour,
+            day: undated ? undefined : day,
+            month: undated ? undefined : month,
+            weekday: weekday === null ? undefined : weekday
+        })
+    }
+}
+
+
+
+module.exports = {
+    FIELDS,
+    BOUNDS,
+    range,
+    Timestamp
+}